@@ -0,0 +1,80 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const requestLogger = require('./middleware/requestLogger');
+const { trackRequests, metricsEndpoint } = require('./middleware/metrics');
+const { spec, validateRequest, validateResponses, shouldValidateResponses } = require('./middleware/openapi');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+
+const healthRoutes = require('./routes/health');
+const authRoutes = require('./routes/auth');
+const jokesRoutes = require('./routes/jokes');
+const favoritesRoutes = require('./routes/favorites');
+const collectionsRoutes = require('./routes/collections');
+const usersRoutes = require('./routes/users');
+const feedRoutes = require('./routes/feed');
+const notificationsRoutes = require('./routes/notifications');
+const tagsRoutes = require('./routes/tags');
+const commentsRoutes = require('./routes/comments');
+const adminRoutes = require('./routes/admin');
+const moderationRoutes = require('./routes/moderation');
+
+// Builds the Express app. Listening, background jobs and shutdown are
+// server.js's business, so loading the app has no side effects.
+const createApp = () => {
+  const app = express();
+
+  // Behind a reverse proxy req.ip must come from X-Forwarded-For, otherwise
+  // every client shares the proxy's rate limit.
+  if (process.env.TRUST_PROXY) {
+    const { TRUST_PROXY } = process.env;
+    const hops = parseInt(TRUST_PROXY, 10);
+
+    // A number of hops, "true", or a list of trusted addresses.
+    app.set('trust proxy', isNaN(hops) ? (TRUST_PROXY === 'true' || TRUST_PROXY) : hops);
+  }
+
+  // Set by server.js once it starts shutting down, see routes/health.js.
+  app.locals.shuttingDown = false;
+
+  // First, so every log line of a request carries its X-Request-Id.
+  app.use(requestLogger);
+
+  // Counts and times requests for GET /metrics, see middleware/metrics.js.
+  app.use(trackRequests);
+
+  app.use(express.json());
+
+  // Requests (and in tests, responses) are checked against docs/openapi.yaml,
+  // see middleware/openapi.js.
+  if (shouldValidateResponses()) {
+    app.use(validateResponses);
+  }
+  app.use(validateRequest);
+
+  app.use('/health', healthRoutes);
+  app.use('/api/auth', authRoutes);
+  app.use('/api/jokes/:jokeId/comments', commentsRoutes);
+  app.use('/api/jokes', jokesRoutes);
+  app.use('/api/favorites', favoritesRoutes);
+  app.use('/api/collections', collectionsRoutes);
+  app.use('/api/users', usersRoutes);
+  app.use('/api/feed', feedRoutes);
+  app.use('/api/notifications', notificationsRoutes);
+  app.use('/api/tags', tagsRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/moderation', moderationRoutes);
+
+  // Swagger UI (OpenAPI)
+  app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(spec));
+
+  // Prometheus metrics, behind METRICS_TOKEN when it is set.
+  app.get('/metrics', metricsEndpoint);
+
+  // Unknown routes and every error end up here, see middleware/errorHandler.js.
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -1,9 +1,7 @@
 require('dotenv').config();
 const { Pool } = require('pg');
 
-const log4js = require('log4js');
-const logger = log4js.getLogger();
-logger.level = 'debug';
+const logger = require('./logger').getLogger('db');
 
 const poolConfig = {
   host: process.env.DB_HOST,
@@ -22,12 +20,13 @@ pool.on('connect', () => {
   logger.debug('Connected to PostgreSQL database');
 });
 
+// An idle client lost its connection, e.g. when the database restarts. The
+// pool drops that client and opens a new one on demand, so there is nothing
+// to do but log; /health/ready reports whether the database is reachable.
 pool.on('error', (err) => {
   logger.error('Unexpected error on idle client', err);
-  process.exit(-1);
 });
 
-
 module.exports = {
   query: (text, params) => pool.query(text, params),
   getClient: () => pool.connect(),
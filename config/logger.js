@@ -0,0 +1,181 @@
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const log4js = require('log4js');
+
+// The one place logging is configured. Modules take a logger named after
+// themselves: const logger = require('../config/logger').getLogger('jokes');
+//
+// LOG_LEVEL   debug, info, warn, error or off. Defaults to info in
+//             production, warn in tests and debug otherwise.
+// LOG_FORMAT  json (one object per line, the default in production) or text.
+//
+// Lines logged while a request is handled carry its request id, see
+// middleware/requestLogger.js.
+
+const REDACTED = '[REDACTED]';
+
+// Values under these keys are never logged, at any depth.
+const SECRET_KEY = /pass(word)?|token|secret|authorization|cookie|api[-_]?key/i;
+
+// Secrets inside free text: bearer tokens, JWTs and key=value / key: value
+// pairs, which also covers query strings and inspected objects.
+const SECRET_PATTERNS = [
+  [/(bearer\s+)[\w.~+/-]+=*/gi, `$1${REDACTED}`],
+  [/eyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+  [/((?:pass(?:word)?|token|secret|api[-_]?key)[\w-]*["']?\s*[=:]\s*["']?)[^\s&"',}]+/gi, `$1${REDACTED}`]
+];
+
+const redactString = (text) => SECRET_PATTERNS
+  .reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+// A copy of a log argument with secrets replaced. Errors stay errors so
+// their stack is still printed.
+const redact = (value, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const copy = Object.create(Object.getPrototypeOf(value));
+    Object.entries(value).forEach(([key, item]) => {
+      copy[key] = SECRET_KEY.test(key) ? REDACTED : redact(item, seen);
+    });
+    copy.message = redactString(value.message);
+    copy.stack = value.stack && redactString(value.stack);
+    return copy;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, seen));
+  }
+
+  return Object.fromEntries(Object.entries(value)
+    .map(([key, item]) => [key, SECRET_KEY.test(key) ? REDACTED : redact(item, seen)]));
+};
+
+// A URL with the path parameters that are secrets blanked, going by the
+// route template: /api/collections/shared/{token} hides its token. The
+// query string is left to redactString.
+const redactUrl = (url, template) => {
+  if (!template) {
+    return url;
+  }
+
+  const queryStart = url.indexOf('?');
+  const path = queryStart === -1 ? url : url.slice(0, queryStart);
+  const segments = path.split('/');
+
+  template.split('/').forEach((part, index) => {
+    const param = /^\{(.+)\}$/.exec(part);
+    if (param && SECRET_KEY.test(param[1]) && index < segments.length) {
+      segments[index] = REDACTED;
+    }
+  });
+
+  return segments.join('/') + (queryStart === -1 ? '' : url.slice(queryStart));
+};
+
+const requestContext = new AsyncLocalStorage();
+
+const currentRequestId = () => {
+  const store = requestContext.getStore();
+  return store ? store.requestId : undefined;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object'
+  && Object.getPrototypeOf(value) === Object.prototype;
+
+// A lone plain object is logged as fields: logger.info({ status: 200 }).
+const fieldsOf = (data) => (data.length === 1 && isPlainObject(data[0]) ? data[0] : null);
+
+const formatText = (logEvent) => {
+  const data = redact(logEvent.data);
+  const fields = fieldsOf(data);
+  const message = fields
+    ? Object.entries(fields)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}=${value}`)
+      .join(' ')
+    : util.format(...data);
+  const requestId = logEvent.context.requestId;
+
+  return `${logEvent.startTime.toISOString()} ${logEvent.level.levelStr} ${logEvent.categoryName}`
+    + `${requestId ? ` [${requestId}]` : ''} - ${message}`;
+};
+
+const formatJson = (logEvent) => {
+  const data = redact(logEvent.data);
+  const fields = fieldsOf(data);
+  const errors = data.filter((item) => item instanceof Error);
+  const rest = data.filter((item) => !(item instanceof Error));
+  const [error] = errors;
+
+  return JSON.stringify({
+    ...fields,
+    time: logEvent.startTime.toISOString(),
+    level: logEvent.level.levelStr.toLowerCase(),
+    category: logEvent.categoryName,
+    request_id: logEvent.context.requestId,
+    message: fields ? undefined : util.format(...rest),
+    error: error && { name: error.name, message: error.message, code: error.code, stack: error.stack }
+  });
+};
+
+// log4js calls layouts synchronously from logger.info() and friends, so the
+// request id is still the one of the request that logged the line.
+const withRequestId = (format) => () => (logEvent) => format({
+  ...logEvent,
+  context: { ...logEvent.context, requestId: currentRequestId() }
+});
+
+log4js.addLayout('json', withRequestId(formatJson));
+log4js.addLayout('text', withRequestId(formatText));
+
+const LOG_FORMATS = ['json', 'text'];
+
+const defaultLevel = () => {
+  switch (process.env.NODE_ENV) {
+    case 'production':
+      return 'info';
+    case 'test':
+      return 'warn';
+    default:
+      return 'debug';
+  }
+};
+
+const configure = () => {
+  const format = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'text');
+
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown LOG_FORMAT: ${format}`);
+  }
+
+  log4js.configure({
+    appenders: { out: { type: 'stdout', layout: { type: format } } },
+    categories: { default: { appenders: ['out'], level: process.env.LOG_LEVEL || defaultLevel() } }
+  });
+};
+
+configure();
+
+const getLogger = (category) => log4js.getLogger(category);
+
+module.exports = {
+  getLogger,
+  requestContext,
+  currentRequestId,
+  redact,
+  redactUrl,
+  formatText,
+  formatJson
+};
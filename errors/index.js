@@ -0,0 +1,76 @@
+// Errors the API reports to clients. Routes pass them to next() and the
+// error middleware turns them into
+// { success: false, error: { code, message, details } }.
+// `code` is stable and meant for programs, `message` is for people.
+// Errors of middleware/openapi.js also list the invalid `fields`.
+class AppError extends Error {
+  constructor(message, details = null, code = 'INTERNAL_ERROR', status = 500) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, details = null, code = 'BAD_REQUEST') {
+    super(message, details, code, 400);
+  }
+}
+
+// Malformed or out-of-range input.
+class ValidationError extends BadRequestError {
+  constructor(message, details = null, code = 'VALIDATION_FAILED') {
+    super(message, details, code);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message, details = null, code = 'UNAUTHORIZED') {
+    super(message, details, code, 401);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', details = null, code = 'FORBIDDEN') {
+    super(message, details, code, 403);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, details = null, code = 'NOT_FOUND') {
+    super(message, details, code, 404);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, details = null, code = 'CONFLICT') {
+    super(message, details, code, 409);
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', details = null, code = 'RATE_LIMITED') {
+    super(message, details, code, 429);
+  }
+}
+
+// The database cannot serve the request right now; retrying later may help.
+class ServiceUnavailableError extends AppError {
+  constructor(message, details = null, code = 'SERVICE_UNAVAILABLE') {
+    super(message, details, code, 503);
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  ServiceUnavailableError
+};
@@ -0,0 +1,91 @@
+const {
+  AppError,
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  ServiceUnavailableError
+} = require('./index');
+
+// Violations of these constraints have a meaning clients care about. The
+// names are the ones PostgreSQL generates for the columns in migrations/.
+const CONSTRAINT_ERRORS = {
+  users_username_key: () => new ConflictError('Username already exists',
+    'Please choose a different username', 'USERNAME_TAKEN'),
+  users_email_key: () => new ConflictError('Email already exists',
+    'This email is already registered', 'EMAIL_TAKEN'),
+  jokes_author_id_fkey: () => new BadRequestError('Reference error',
+    'Author not found', 'INVALID_REFERENCE'),
+  collection_jokes_joke_id_fkey: () => new NotFoundError('Joke not found'),
+  comments_joke_id_fkey: () => new NotFoundError('Joke not found'),
+  comments_parent_id_fkey: () => new BadRequestError('Invalid parent comment',
+    'Parent comment not found', 'INVALID_REFERENCE')
+};
+
+// Everything else is mapped by SQLSTATE, see
+// https://www.postgresql.org/docs/current/errcodes-appendix.html
+const SQLSTATE_ERRORS = {
+  23505: () => new ConflictError('Already exists',
+    'A record with the same values already exists', 'ALREADY_EXISTS'),
+  23503: () => new BadRequestError('Reference error',
+    'Related record not found', 'INVALID_REFERENCE'),
+  23502: () => new BadRequestError('Validation error',
+    'A required value is missing', 'MISSING_VALUE'),
+  23514: () => new BadRequestError('Validation error',
+    'Invalid data provided', 'CONSTRAINT_VIOLATION'),
+  '22P02': () => new BadRequestError('Validation error',
+    'A value has the wrong format', 'INVALID_INPUT'),
+  22001: () => new BadRequestError('Validation error',
+    'A value is too long', 'VALUE_TOO_LONG'),
+  22003: () => new BadRequestError('Validation error',
+    'A number is out of range', 'VALUE_OUT_OF_RANGE'),
+  40001: () => new ServiceUnavailableError('Database busy',
+    'Please try again', 'DATABASE_BUSY'),
+  '40P01': () => new ServiceUnavailableError('Database busy',
+    'Please try again', 'DATABASE_BUSY'),
+  57014: () => new ServiceUnavailableError('Database timeout',
+    'The query took too long, please try again', 'DATABASE_TIMEOUT')
+};
+
+const databaseUnavailable = () => new ServiceUnavailableError('Database unavailable',
+  'Please try again later', 'DATABASE_UNAVAILABLE');
+
+// SQLSTATEs are five characters: two for the class, three for the condition.
+const isPgError = (error) => typeof error.code === 'string' && /^[0-9A-Z]{5}$/.test(error.code);
+
+// Connection failures come from the driver or the socket, not from a query.
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EPIPE'];
+
+const isConnectionError = (error) => CONNECTION_ERROR_CODES.includes(error.code)
+  || (isPgError(error) && (error.code.startsWith('08') || error.code.startsWith('57P')
+    || error.code === '53300'))
+  || /timeout exceeded when trying to connect|Connection terminated/i.test(error.message || '');
+
+// Translates an error thrown by pg into an AppError, or returns null for
+// errors that did not come from the database. Raw database messages are
+// never passed on to clients.
+const fromPgError = (error) => {
+  if (isConnectionError(error)) {
+    return databaseUnavailable();
+  }
+
+  if (!isPgError(error)) {
+    return null;
+  }
+
+  const byConstraint = error.constraint && CONSTRAINT_ERRORS[error.constraint];
+
+  if (byConstraint) {
+    return byConstraint();
+  }
+
+  const bySqlState = SQLSTATE_ERRORS[error.code];
+
+  return bySqlState
+    ? bySqlState()
+    : new AppError('Database error', 'Please try again later', 'DATABASE_ERROR');
+};
+
+module.exports = {
+  CONSTRAINT_ERRORS,
+  fromPgError
+};
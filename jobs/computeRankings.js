@@ -0,0 +1,101 @@
+const { pool } = require('../config/db');
+
+const logger = require('../config/logger').getLogger('computeRankings');
+
+// How often the scheduler in server.js recomputes the rankings.
+const RANKINGS_REFRESH_MINUTES = parseInt(process.env.RANKINGS_REFRESH_MINUTES, 10) || 10;
+
+// Trending windows in days. Activity older than the window does not count
+// and inside it loses half its weight every half window.
+const TRENDING_WINDOWS = { day: 1, week: 7, month: 30 };
+
+// What one event is worth: a vote (+1 / -1) times VOTE_WEIGHT, a favorite,
+// a single view.
+const VOTE_WEIGHT = 1;
+const FAVORITE_WEIGHT = 2;
+const VIEW_WEIGHT = 0.05;
+
+// How fast hot scores sink with the age of the joke (as on Hacker News).
+const HOT_GRAVITY = 1.5;
+
+const LONGEST_WINDOW_DAYS = Math.max(...Object.values(TRENDING_WINDOWS));
+
+const trendingColumn = (name, days) => {
+  const halfLifeSeconds = (days * 24 * 60 * 60) / 2;
+
+  return `COALESCE(SUM(weight * power(0.5, age / ${halfLifeSeconds}))
+            FILTER (WHERE age < ${days * 24 * 60 * 60}), 0) as trending_${name}`;
+};
+
+// Recomputes hot and trending scores of every visible joke in one statement
+// and drops rankings of jokes that were deleted or hidden since. Resolves to
+// the number of ranked jokes.
+const computeRankings = async () => {
+  const windows = Object.entries(TRENDING_WINDOWS);
+
+  const result = await pool.query(
+    `WITH events AS (
+       SELECT joke_id, updated_at as happened_at, value * ${VOTE_WEIGHT}::float8 as weight
+       FROM votes WHERE updated_at > NOW() - make_interval(days => $1)
+       UNION ALL
+       SELECT joke_id, created_at, ${FAVORITE_WEIGHT}::float8
+       FROM favorites WHERE created_at > NOW() - make_interval(days => $1)
+       UNION ALL
+       SELECT joke_id, day::timestamptz, views * ${VIEW_WEIGHT}::float8
+       FROM joke_daily_views WHERE day > CURRENT_DATE - $1::int
+     ),
+     activity AS (
+       SELECT joke_id,
+              ${windows.map(([name, days]) => trendingColumn(name, days)).join(',\n              ')}
+       FROM (
+         SELECT joke_id, weight, GREATEST(EXTRACT(EPOCH FROM NOW() - happened_at), 0) as age
+         FROM events
+       ) aged
+       GROUP BY joke_id
+     ),
+     favorite_counts AS (
+       SELECT joke_id, COUNT(*) as favorites FROM favorites GROUP BY joke_id
+     ),
+     ranked AS (
+       INSERT INTO joke_rankings (joke_id, hot, ${windows.map(([name]) => `trending_${name}`).join(', ')}, computed_at)
+       SELECT j.id,
+              (j.score * ${VOTE_WEIGHT} + COALESCE(fc.favorites, 0) * ${FAVORITE_WEIGHT} + ln(1 + j.views))
+                / power(EXTRACT(EPOCH FROM NOW() - j.created_at) / 3600 + 2, ${HOT_GRAVITY}),
+              ${windows.map(([name]) => `COALESCE(a.trending_${name}, 0)`).join(', ')},
+              NOW()
+       FROM jokes j
+       LEFT JOIN activity a ON a.joke_id = j.id
+       LEFT JOIN favorite_counts fc ON fc.joke_id = j.id
+       WHERE j.deleted_at IS NULL AND j.hidden_at IS NULL
+       ON CONFLICT (joke_id) DO UPDATE SET
+         hot = EXCLUDED.hot,
+         ${windows.map(([name]) => `trending_${name} = EXCLUDED.trending_${name}`).join(',\n         ')},
+         computed_at = EXCLUDED.computed_at
+       RETURNING joke_id
+     ),
+     removed AS (
+       DELETE FROM joke_rankings r
+       USING jokes j
+       WHERE j.id = r.joke_id AND (j.deleted_at IS NOT NULL OR j.hidden_at IS NOT NULL)
+     )
+     SELECT COUNT(*) as ranked FROM ranked`,
+    [LONGEST_WINDOW_DAYS]
+  );
+
+  // Daily views are only needed for the longest window.
+  await pool.query(
+    'DELETE FROM joke_daily_views WHERE day < CURRENT_DATE - $1::int',
+    [LONGEST_WINDOW_DAYS]
+  );
+
+  const ranked = parseInt(result.rows[0].ranked, 10);
+  logger.debug(`Computed rankings of ${ranked} jokes`);
+
+  return ranked;
+};
+
+module.exports = {
+  RANKINGS_REFRESH_MINUTES,
+  TRENDING_WINDOWS,
+  computeRankings
+};
@@ -0,0 +1,28 @@
+const { pool } = require('../config/db');
+
+const logger = require('../config/logger').getLogger('purgeDeletedJokes');
+
+// How long a soft-deleted joke stays in its author's trash.
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Removes for good the jokes that have been in the trash longer than the
+// retention period. Votes, tags, comments and favorites go with them.
+const purgeDeletedJokes = async () => {
+  const result = await pool.query(
+    `DELETE FROM jokes
+     WHERE deleted_at IS NOT NULL
+       AND deleted_at < NOW() - make_interval(days => $1)`,
+    [TRASH_RETENTION_DAYS]
+  );
+
+  if (result.rowCount > 0) {
+    logger.info(`Purged ${result.rowCount} deleted jokes`);
+  }
+
+  return result.rowCount;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeDeletedJokes
+};
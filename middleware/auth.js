@@ -1,18 +1,32 @@
 const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../services/sessions');
+const { UnauthorizedError } = require('../errors');
 
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
   const authHeader = req.header('Authorization');
   const token = authHeader ? authHeader.replace('Bearer ', '') : undefined;
 
   if (!token) {
-    return res.status(401).json({ error: 'Access denied' });
+    return next(new UnauthorizedError('Access denied', 'No token provided'));
   }
 
+  let verified;
   try {
-    const verified = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = verified;
-    next();
+    verified = await verifyAccessToken(token);
   } catch (error) {
-    res.status(400).json({ error: 'Invalid token' });
+    if (error instanceof jwt.TokenExpiredError) {
+      return next(new UnauthorizedError('Invalid token', 'The access token has expired', 'TOKEN_EXPIRED'));
+    }
+    if (error instanceof jwt.JsonWebTokenError) {
+      return next(new UnauthorizedError('Invalid token', null, 'INVALID_TOKEN'));
+    }
+    return next(error);
   }
-};
\ No newline at end of file
+
+  if (!verified) {
+    return next(new UnauthorizedError('Session revoked', null, 'SESSION_REVOKED'));
+  }
+
+  req.user = verified;
+  next();
+};
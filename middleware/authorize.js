@@ -0,0 +1,11 @@
+const { ForbiddenError } = require('../errors');
+
+// Lets the request through only for users with one of the given roles.
+// Must run after auth, e.g. router.post('/', auth, authorize('admin'), ...).
+module.exports = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new ForbiddenError('Forbidden', 'You do not have permission to perform this action'));
+  }
+
+  next();
+};
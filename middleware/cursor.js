@@ -0,0 +1,69 @@
+const { ValidationError } = require('../errors');
+
+// Cursors are opaque to clients: base64url JSON with the sort they were
+// issued for and the sort key of the last row of the page.
+const encodeCursor = (sort, key) => Buffer
+  .from(JSON.stringify({ sort, key }))
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (typeof decoded.sort !== 'string' || !Array.isArray(decoded.key)) {
+      return null;
+    }
+
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Validates the values of a decoded cursor key against a keyset definition
+// ({ columns, types, direction }) before they are sent to the database.
+const CURSOR_VALUE_CHECKS = {
+  timestamptz: (value) => typeof value === 'string' && !isNaN(Date.parse(value)),
+  int: Number.isInteger,
+  bigint: Number.isInteger,
+  float8: Number.isFinite
+};
+
+const isValidCursorKey = (keyset, key) => key.length === keyset.types.length
+  && keyset.types.every((type, index) => CURSOR_VALUE_CHECKS[type](key[index]));
+
+// Parses ?cursor= into req.cursor. Without the parameter req.cursor stays
+// undefined and the route uses page mode; an empty ?cursor= asks for the
+// first page in cursor mode and gives { sort: null, key: null }.
+const parseCursor = (req, res, next) => {
+  const { cursor } = req.query;
+
+  if (cursor === undefined) {
+    return next();
+  }
+
+  if (typeof cursor !== 'string') {
+    return next(new ValidationError('Invalid cursor', 'Pass a single cursor parameter', 'INVALID_CURSOR'));
+  }
+
+  if (cursor === '') {
+    req.cursor = { sort: null, key: null };
+    return next();
+  }
+
+  const decoded = decodeCursor(cursor);
+
+  if (!decoded) {
+    return next(new ValidationError('Invalid cursor',
+      'Use the next_cursor value from the previous page', 'INVALID_CURSOR'));
+  }
+
+  req.cursor = decoded;
+  next();
+};
+
+module.exports = {
+  encodeCursor,
+  isValidCursorKey,
+  parseCursor
+};
@@ -0,0 +1,64 @@
+const { AppError, BadRequestError, NotFoundError } = require('../errors');
+const { fromPgError } = require('../errors/pg');
+
+const { getLogger, redactUrl } = require('../config/logger');
+
+const logger = getLogger('errorHandler');
+
+// Errors of express.json() carry a `type`; the others come from routes.
+const BODY_PARSER_ERRORS = {
+  'entity.parse.failed': () => new BadRequestError('Invalid JSON',
+    'The request body is not valid JSON', 'INVALID_JSON'),
+  'entity.too.large': () => new AppError('Payload too large',
+    'The request body is too large', 'PAYLOAD_TOO_LARGE', 413)
+};
+
+const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (BODY_PARSER_ERRORS[error.type]) {
+    return BODY_PARSER_ERRORS[error.type]();
+  }
+
+  return fromPgError(error)
+    || new AppError('Internal server error', 'Please try again later');
+};
+
+// Answers 404 for requests no router handled. Mount after all routers.
+const notFound = (req, _res, next) => {
+  next(new NotFoundError('Route not found', `${req.method} ${req.path} does not exist`, 'ROUTE_NOT_FOUND'));
+};
+
+// The only place that sends error responses. Mount last; Express tells
+// error middleware apart by its four arguments, so `next` has to stay.
+const errorHandler = (error, req, res, next) => {
+  const appError = toAppError(error);
+  const url = redactUrl(req.originalUrl, req.openapi && req.openapi.path);
+
+  if (appError.status >= 500) {
+    logger.error(`${req.method} ${url} failed:`, error);
+  } else {
+    logger.debug(`${req.method} ${url}: ${appError.status} ${appError.code}`);
+  }
+
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  res.status(appError.status).json({
+    success: false,
+    error: {
+      code: appError.code,
+      message: appError.message,
+      details: appError.details,
+      ...(appError.fields && { fields: appError.fields })
+    }
+  });
+};
+
+module.exports = {
+  notFound,
+  errorHandler
+};
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { register, httpRequestsTotal, httpRequestDuration } = require('../services/metrics');
+const { UnauthorizedError } = require('../errors');
+
+// When set, GET /metrics wants Authorization: Bearer <METRICS_TOKEN>.
+const { METRICS_TOKEN } = process.env;
+
+// Compared as digests so the check takes the same time whatever the
+// length of the guess.
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Counts and times every request once it is answered. Requests are grouped
+// by their path in docs/openapi.yaml (/api/jokes/{id}), which
+// middleware/openapi.js records, so ids never end up in label values.
+// Everything the spec does not describe shares the route "other".
+const trackRequests = (req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.openapi ? req.openapi.path : 'other',
+      status: res.statusCode
+    };
+
+    httpRequestsTotal.inc(labels);
+    stopTimer(labels);
+  });
+
+  next();
+};
+
+const metricsEndpoint = async (req, res, next) => {
+  if (METRICS_TOKEN) {
+    const authHeader = req.get('Authorization') || '';
+    const token = authHeader.replace('Bearer ', '');
+
+    if (!crypto.timingSafeEqual(digest(token), digest(METRICS_TOKEN))) {
+      return next(new UnauthorizedError('Access denied', 'A valid metrics token is required'));
+    }
+  }
+
+  try {
+    const metrics = await register.metrics();
+    res.set('Content-Type', register.contentType).send(metrics);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  trackRequests,
+  metricsEndpoint
+};
@@ -0,0 +1,277 @@
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const YAML = require('yamljs');
+const { AppError, ValidationError } = require('../errors');
+const { errorHandler } = require('./errorHandler');
+
+const logger = require('../config/logger').getLogger('openapi');
+
+// docs/openapi.yaml is the contract: requests are checked against it before
+// any router runs, and in tests responses are checked too.
+const spec = YAML.load(path.join(__dirname, '../docs/openapi.yaml'));
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Bodies are JSON and are checked as sent. Params and query strings are
+// always strings, so they are coerced (on a copy, req.query is left alone);
+// 'array' lets ?tag=a match an array schema and ?tag=a&tag=b a string one fail.
+const bodyAjv = addFormats(new Ajv({ allErrors: true, verbose: true, strict: false }));
+const stringsAjv = addFormats(new Ajv({ allErrors: true, verbose: true, strict: false, coerceTypes: 'array' }));
+
+// Inlines #/components/... references; the spec has no recursive schemas.
+const resolveRefs = (node) => {
+  if (Array.isArray(node)) {
+    return node.map(resolveRefs);
+  }
+
+  if (node === null || typeof node !== 'object') {
+    return node;
+  }
+
+  if (typeof node.$ref === 'string' && node.$ref.startsWith('#/')) {
+    const target = node.$ref.slice(2).split('/').reduce((value, key) => value[key], spec);
+    return resolveRefs(target);
+  }
+
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, resolveRefs(value)]));
+};
+
+const jsonSchema = (content) => content && content['application/json'] && content['application/json'].schema;
+
+// One object schema for all parameters of a location ('path' or 'query').
+const parametersSchema = (parameters, location) => {
+  const own = parameters.filter((parameter) => parameter.in === location);
+
+  if (own.length === 0) {
+    return null;
+  }
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(own.map((parameter) => [parameter.name, parameter.schema || {}])),
+    required: own.filter((parameter) => parameter.required).map((parameter) => parameter.name)
+  };
+};
+
+const compile = (ajv, schema) => (schema ? ajv.compile(schema) : null);
+
+const compileOperation = (pathItem, operation) => {
+  const parameters = resolveRefs([...(pathItem.parameters || []), ...(operation.parameters || [])]);
+  const requestBody = resolveRefs(operation.requestBody);
+  const responses = resolveRefs(operation.responses || {});
+
+  return {
+    params: compile(stringsAjv, parametersSchema(parameters, 'path')),
+    query: compile(stringsAjv, parametersSchema(parameters, 'query')),
+    body: compile(bodyAjv, requestBody && jsonSchema(requestBody.content)),
+    bodyRequired: Boolean(requestBody && requestBody.required),
+    responses: Object.fromEntries(Object.entries(responses)
+      .filter(([, response]) => jsonSchema(response.content))
+      .map(([status, response]) => [status, bodyAjv.compile(jsonSchema(response.content))]))
+  };
+};
+
+// Trailing slashes are ignored, so /api/jokes/ and /api/jokes are the same path.
+const trimSlash = (value) => (value.length > 1 ? value.replace(/\/+$/, '') : value);
+
+// Path templates such as /api/jokes/{id} as regexes. Where two templates
+// match, the one with a literal segment earlier wins: /api/jokes/daily
+// over /api/jokes/{id}.
+const routes = Object.entries(spec.paths)
+  .map(([template, pathItem]) => {
+    const segments = trimSlash(template).split('/');
+    const names = [];
+    const pattern = segments.map((segment) => {
+      const match = /^\{(.+)\}$/.exec(segment);
+
+      if (!match) {
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+
+      names.push(match[1]);
+      return '([^/]+)';
+    }).join('/');
+
+    const operations = Object.fromEntries(METHODS
+      .filter((method) => pathItem[method])
+      .map((method) => [method, compileOperation(pathItem, pathItem[method])]));
+
+    return {
+      template,
+      regex: new RegExp(`^${pattern}$`),
+      names,
+      rank: segments.map((segment) => (segment.startsWith('{') ? '1' : '0')).join(''),
+      operations
+    };
+  })
+  .sort((a, b) => a.rank.localeCompare(b.rank));
+
+// Finds the operation for a request, or null for paths the spec does not
+// describe (Swagger UI, unknown routes). A template without the method does
+// not end the search: GET /api/users/me is /api/users/{username}.
+const findOperation = (method, requestPath) => {
+  const normalized = trimSlash(requestPath);
+
+  for (const route of routes) {
+    const match = route.regex.exec(normalized);
+    const operation = match && route.operations[method.toLowerCase()];
+
+    if (operation) {
+      let params;
+      try {
+        params = Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+      } catch (error) {
+        params = Object.fromEntries(route.names.map((name, index) => [name, match[index + 1]]));
+      }
+
+      return { template: route.template, operation, params };
+    }
+  }
+
+  return null;
+};
+
+// Schemas can word their pattern and anyOf failures with x-message, Ajv's
+// own text for those ("must match pattern ...") means little to clients.
+const REWORDED_KEYWORDS = ['pattern', 'anyOf', 'oneOf'];
+
+const describeError = (error) => {
+  if (error.keyword === 'enum') {
+    return `must be one of: ${error.params.allowedValues.join(', ')}`;
+  }
+
+  if (REWORDED_KEYWORDS.includes(error.keyword) && error.parentSchema['x-message']) {
+    return error.parentSchema['x-message'];
+  }
+
+  return error.message;
+};
+
+const REQUIRED = 'is required';
+
+// Ajv errors as { location, field, message }, e.g.
+// { location: 'body', field: 'tags.0', message: 'must NOT have more than 30 characters' }.
+// A failed anyOf is reported once, not once per alternative.
+const toFields = (location, errors) => errors
+  .filter((error) => !errors.some((other) => ['anyOf', 'oneOf'].includes(other.keyword)
+    && error.schemaPath.startsWith(`${other.schemaPath}/`)))
+  .map((error) => {
+    const parts = error.instancePath.split('/').slice(1).map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    if (error.keyword === 'required') {
+      parts.push(error.params.missingProperty);
+    }
+
+    return {
+      location,
+      field: parts.join('.'),
+      message: error.keyword === 'required' ? REQUIRED : describeError(error)
+    };
+  });
+
+// Missing fields come first, then the first invalid one names the error.
+// The full list is in `fields`.
+const validationError = (fields) => {
+  const missing = fields.filter((field) => field.message === REQUIRED).map((field) => field.field);
+  const [first] = fields;
+  let error;
+
+  if (missing.length > 0) {
+    error = new ValidationError(missing.length > 1 ? 'Missing required fields' : 'Missing required field',
+      `${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} required`);
+  } else if (first.field) {
+    error = new ValidationError(`Invalid ${first.field.split('.')[0]}`, `${first.field} ${first.message}`);
+  } else {
+    error = new ValidationError('Invalid request body', `The request body ${first.message}`);
+  }
+
+  error.fields = fields;
+  return error;
+};
+
+const isEmptyBody = (body) => body === undefined
+  || (typeof body === 'object' && body !== null && !Array.isArray(body) && Object.keys(body).length === 0);
+
+// Validates path params, the query string and the JSON body of every request
+// the spec describes. Mount after express.json() and before the routers.
+const validateRequest = (req, _res, next) => {
+  const found = findOperation(req.method, req.path);
+
+  if (!found) {
+    return next();
+  }
+
+  const { operation, params } = found;
+  const fields = [];
+
+  // Set before validating, so rejected requests are still known by route.
+  req.openapi = { path: found.template };
+
+  if (operation.params && !operation.params({ ...params })) {
+    fields.push(...toFields('path', operation.params.errors));
+  }
+
+  if (operation.query && !operation.query({ ...req.query })) {
+    fields.push(...toFields('query', operation.query.errors));
+  }
+
+  // An optional body may be left out entirely.
+  if (operation.body && !(isEmptyBody(req.body) && !operation.bodyRequired)
+    && !operation.body(req.body === undefined ? {} : req.body)) {
+    fields.push(...toFields('body', operation.body.errors));
+  }
+
+  if (fields.length > 0) {
+    return next(validationError(fields));
+  }
+
+  next();
+};
+
+// The body as the client gets it: Dates as ISO strings, toJSON() applied.
+const asSent = (body) => (body === undefined ? body : JSON.parse(JSON.stringify(body)));
+
+// Checks JSON responses against the spec and replaces a mismatch with a 500,
+// so a test fails as soon as the code and the spec disagree. Only statuses
+// with a schema in the spec are checked.
+const validateResponses = (req, res, next) => {
+  const found = findOperation(req.method, req.path);
+
+  if (!found) {
+    return next();
+  }
+
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const { responses } = found.operation;
+    const validate = responses[String(res.statusCode)] || responses.default;
+
+    if (!validate || validate(asSent(body))) {
+      return json(body);
+    }
+
+    res.json = json;
+    const fields = toFields('response', validate.errors);
+    logger.error(`Response of ${req.method} ${found.template} does not match the spec:`, fields);
+
+    const error = new AppError('Response does not match the API spec',
+      `${req.method} ${found.template} answered ${res.statusCode}`, 'RESPONSE_VALIDATION_FAILED');
+    error.fields = fields;
+    return errorHandler(error, req, res, next);
+  };
+
+  next();
+};
+
+// Response checks cost time on every request: on in tests, opt-in elsewhere.
+const shouldValidateResponses = () => process.env.OPENAPI_VALIDATE_RESPONSES === 'true'
+  || (process.env.OPENAPI_VALIDATE_RESPONSES !== 'false' && process.env.NODE_ENV === 'test');
+
+module.exports = {
+  spec,
+  validateRequest,
+  validateResponses,
+  shouldValidateResponses
+};
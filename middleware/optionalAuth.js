@@ -0,0 +1,18 @@
+const { verifyAccessToken } = require('../services/sessions');
+
+// Same as auth, but lets anonymous requests through: req.user is only set
+// when a valid token of an active session is sent.
+module.exports = async (req, _res, next) => {
+  const authHeader = req.header('Authorization');
+  const token = authHeader ? authHeader.replace('Bearer ', '') : undefined;
+
+  if (token) {
+    try {
+      req.user = (await verifyAccessToken(token)) || undefined;
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+
+  next();
+};
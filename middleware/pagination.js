@@ -0,0 +1,32 @@
+// Parses ?page= and ?limit= into req.pagination ({ page, limit, offset }).
+const validatePagination = (req, _res, next) => {
+  let { page = 1, limit = 10 } = req.query;
+  
+  page = Math.max(1, parseInt(page, 10) || 1);
+  limit = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+  
+  req.pagination = { page, limit, offset: (page - 1) * limit };
+  next();
+};
+
+// The { items, pagination } body of a page-numbered list.
+const paginated = (items, total, { page, limit }) => {
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1
+    }
+  };
+};
+
+module.exports = {
+  validatePagination,
+  paginated
+};
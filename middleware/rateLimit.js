@@ -0,0 +1,54 @@
+const { getStore } = require('../services/rateLimit');
+const { TooManyRequestsError } = require('../errors');
+
+const logger = require('../config/logger').getLogger('rateLimit');
+
+const secondsUntil = (date) => Math.max(0, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+const KEYS = {
+  ip: (req) => `ip:${req.ip}`,
+  // Anonymous requests fall back to the IP, so put auth before the limiter.
+  user: (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`)
+};
+
+// Fixed-window rate limiter with its own budget per name, e.g.
+// rateLimit({ name: 'login', windowMs: 15 * 60 * 1000, max: 20 }).
+// keyBy is 'ip' (default), 'user' or a function of the request. Sends the
+// RateLimit-* headers on every response and 429 with Retry-After once the
+// budget is spent. If the store fails the request is let through.
+module.exports = ({ name, windowMs, max, keyBy = 'ip' }) => {
+  const keyFor = typeof keyBy === 'function' ? keyBy : KEYS[keyBy];
+
+  if (!name || !keyFor) {
+    throw new Error('rateLimit needs a name and a valid keyBy');
+  }
+
+  return async (req, res, next) => {
+    let hit;
+
+    try {
+      hit = await getStore().increment(`${name}:${keyFor(req)}`, windowMs);
+    } catch (error) {
+      logger.error(`Rate limit store failed for ${name}:`, error);
+      return next();
+    }
+
+    const reset = secondsUntil(hit.resetAt);
+
+    res.set({
+      'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - hit.count)),
+      'RateLimit-Reset': String(reset)
+    });
+
+    if (hit.count > max) {
+      logger.warn(`Rate limit ${name} exceeded by ${keyFor(req)}`);
+      res.set('Retry-After', String(reset));
+
+      return next(new TooManyRequestsError('Too many requests', `Please try again in ${reset} seconds`));
+    }
+
+    next();
+  };
+};
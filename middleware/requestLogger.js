@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const { getLogger, requestContext, redactUrl } = require('../config/logger');
+
+const logger = getLogger('http');
+
+// A client or proxy may pass its own id to follow a request across
+// services; anything that does not look like an id is replaced.
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Gives every request an id, sends it back in X-Request-Id and logs the
+// request once it is answered (or the client goes away) with its status
+// and latency. Mount first, so every later log line carries the id.
+module.exports = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const logRequest = () => {
+    res.off('finish', logRequest);
+    res.off('close', logRequest);
+
+    const fields = {
+      method: req.method,
+      // req.openapi comes from middleware/openapi.js.
+      url: redactUrl(req.originalUrl, req.openapi && req.openapi.path),
+      status: res.writableFinished ? res.statusCode : null,
+      duration_ms: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      ip: req.ip,
+      user_id: req.user ? req.user.id : undefined
+    };
+
+    // Response events are not tied to the request's async context.
+    requestContext.run({ requestId }, () => {
+      if (!res.writableFinished) {
+        logger.warn({ ...fields, aborted: true });
+      } else {
+        logger.info(fields);
+      }
+    });
+  };
+
+  res.on('finish', logRequest);
+  res.on('close', logRequest);
+
+  requestContext.run({ requestId }, next);
+};
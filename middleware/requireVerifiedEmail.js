@@ -0,0 +1,26 @@
+const { pool } = require('../config/db');
+const { ForbiddenError } = require('../errors');
+
+// Rejects users who have not confirmed their email yet. Only enforced when
+// REQUIRE_EMAIL_VERIFICATION=true; must run after auth.
+module.exports = async (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT email_verified_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].email_verified_at) {
+      return next(new ForbiddenError('Email not verified',
+        'Please confirm your email before posting jokes', 'EMAIL_NOT_VERIFIED'));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,9 +1,26 @@
 require('dotenv').config();
 const { Client } = require('pg');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
-const client = new Client({
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)-([\w-]+)\.sql$/;
+const UP_MARKER = /^--\s*migrate:up\s*$/m;
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+
+// Arbitrary key for pg_advisory_lock, so two deploys never migrate at once.
+const MIGRATION_LOCK_ID = 4242001;
+
+const USAGE = `Usage: node migrate.js <command>
+
+Commands:
+  status         Show applied and pending migrations
+  up             Apply all pending migrations (default)
+  down [N]       Roll back the last N applied migrations (default 1)
+  create <name>  Create an empty migration file`;
+
+const createClient = () => new Client({
   host: process.env.DB_HOST,
   port: process.env.DB_PORT,
   database: process.env.DB_NAME,
@@ -11,17 +28,230 @@ const client = new Client({
   password: process.env.DB_PASSWORD,
 });
 
-async function runMigrations() {
+// Splits a migration file into its "-- migrate:up" and "-- migrate:down"
+// sections. A file without markers is treated as up-only.
+const parseMigration = (content) => {
+  const downMatch = DOWN_MARKER.exec(content);
+  const upSection = downMatch ? content.slice(0, downMatch.index) : content;
+  const downSection = downMatch ? content.slice(downMatch.index + downMatch[0].length) : '';
+
+  return {
+    up: upSection.replace(UP_MARKER, '').trim(),
+    down: downSection.trim() || null,
+  };
+};
+
+const loadMigrations = (dir = MIGRATIONS_DIR) => fs.readdirSync(dir)
+  .filter((file) => MIGRATION_FILE.test(file))
+  .map((file) => {
+    const [, version, name] = file.match(MIGRATION_FILE);
+    const content = fs.readFileSync(path.join(dir, file), 'utf8');
+
+    return {
+      version,
+      name,
+      file,
+      checksum: crypto.createHash('sha256').update(content).digest('hex'),
+      ...parseMigration(content),
+    };
+  })
+  .sort((a, b) => parseInt(a.version, 10) - parseInt(b.version, 10));
+
+const ensureMigrationsTable = (client) => client.query(
+  `CREATE TABLE IF NOT EXISTS schema_migrations (
+     version VARCHAR(20) PRIMARY KEY,
+     name TEXT NOT NULL,
+     checksum CHAR(64) NOT NULL,
+     applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+   )`
+);
+
+// Compares the files on disk with schema_migrations. Every migration gets
+// an `applied` flag; applied ones whose file was edited afterwards are
+// flagged `changed`, and applied versions with no file left are `missing`.
+const getStatus = async (client, dir = MIGRATIONS_DIR) => {
+  const migrations = loadMigrations(dir);
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  const applied = new Map(result.rows.map((row) => [row.version, row]));
+
+  const items = migrations.map((migration) => {
+    const row = applied.get(migration.version);
+    applied.delete(migration.version);
+
+    return {
+      ...migration,
+      applied: Boolean(row),
+      applied_at: row ? row.applied_at : null,
+      changed: Boolean(row) && row.checksum.trim() !== migration.checksum,
+    };
+  });
+
+  return {
+    items,
+    pending: items.filter((migration) => !migration.applied),
+    changed: items.filter((migration) => migration.changed),
+    missing: [...applied.values()],
+  };
+};
+
+const assertUnchanged = (status) => {
+  if (status.changed.length > 0) {
+    const files = status.changed.map((migration) => migration.file).join(', ');
+    throw new Error(`Applied migrations were modified: ${files}`);
+  }
+};
+
+const withLock = async (client, fn) => {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
   try {
-    await client.connect();
-    const migrationFile = fs.readFileSync(path.join(__dirname, 'migrations/001-initial.sql'), 'utf8');
-    await client.query(migrationFile);
-    console.log('Migrations completed successfully');
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+  }
+};
+
+const inTransaction = async (client, fn) => {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
   } catch (error) {
-    console.error('Migration failed:', error);
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+const up = (client, dir = MIGRATIONS_DIR) => withLock(client, async () => {
+  const status = await getStatus(client, dir);
+  assertUnchanged(status);
+
+  for (const migration of status.pending) {
+    await inTransaction(client, async () => {
+      await client.query(migration.up);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+    });
+    console.log(`Applied ${migration.file}`);
+  }
+
+  return status.pending;
+});
+
+const down = (client, count = 1, dir = MIGRATIONS_DIR) => withLock(client, async () => {
+  const status = await getStatus(client, dir);
+  assertUnchanged(status);
+
+  if (status.missing.length > 0) {
+    const versions = status.missing.map((row) => row.version).join(', ');
+    throw new Error(`Cannot roll back, migration files are missing for versions: ${versions}`);
+  }
+
+  const toRevert = status.items
+    .filter((migration) => migration.applied)
+    .reverse()
+    .slice(0, count);
+
+  for (const migration of toRevert) {
+    if (!migration.down) {
+      throw new Error(`${migration.file} has no "-- migrate:down" section`);
+    }
+
+    await inTransaction(client, async () => {
+      await client.query(migration.down);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    });
+    console.log(`Reverted ${migration.file}`);
+  }
+
+  return toRevert;
+});
+
+const create = (name, dir = MIGRATIONS_DIR) => {
+  const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+  if (!slug) {
+    throw new Error('Migration name is required');
+  }
+
+  const migrations = loadMigrations(dir);
+  const lastVersion = migrations.length > 0
+    ? parseInt(migrations[migrations.length - 1].version, 10)
+    : 0;
+  const file = `${String(lastVersion + 1).padStart(3, '0')}-${slug}.sql`;
+
+  fs.writeFileSync(path.join(dir, file), '-- migrate:up\n\n\n-- migrate:down\n\n');
+  console.log(`Created migrations/${file}`);
+
+  return file;
+};
+
+const printStatus = (status) => {
+  for (const migration of status.items) {
+    const state = migration.changed ? 'changed' : (migration.applied ? 'applied' : 'pending');
+    const appliedAt = migration.applied_at ? ` (${new Date(migration.applied_at).toISOString()})` : '';
+    console.log(`${state.padEnd(8)} ${migration.file}${appliedAt}`);
+  }
+
+  for (const row of status.missing) {
+    console.log(`${'missing'.padEnd(8)} ${row.version}-${row.name}.sql`);
+  }
+
+  console.log(`${status.pending.length} pending migration(s)`);
+};
+
+async function runMigrations(args) {
+  const [command = 'up', arg] = args;
+
+  if (command === 'create') {
+    create(arg);
+    return;
+  }
+
+  if (!['status', 'up', 'down'].includes(command)) {
+    throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+
+  const count = arg === undefined ? 1 : parseInt(arg, 10);
+  if (command === 'down' && !(count > 0)) {
+    throw new Error('down expects a positive number of migrations');
+  }
+
+  const client = createClient();
+
+  try {
+    await client.connect();
+    await ensureMigrationsTable(client);
+
+    if (command === 'status') {
+      printStatus(await getStatus(client));
+    } else if (command === 'up') {
+      const applied = await up(client);
+      console.log(applied.length > 0 ? 'Migrations completed successfully' : 'Database is up to date');
+    } else {
+      await down(client, count);
+    }
   } finally {
     await client.end();
   }
 }
 
-runMigrations();
\ No newline at end of file
+if (require.main === module) {
+  runMigrations(process.argv.slice(2)).catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseMigration,
+  loadMigrations,
+  ensureMigrationsTable,
+  getStatus,
+  up,
+  down,
+  create,
+};
@@ -1,3 +1,4 @@
+-- migrate:up
 CREATE TABLE IF NOT EXISTS users (
     id BIGSERIAL PRIMARY KEY,
     username VARCHAR(30) UNIQUE NOT NULL,
@@ -25,4 +26,9 @@ CREATE TABLE IF NOT EXISTS favorites (
     joke_id BIGINT REFERENCES jokes(id),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     PRIMARY KEY (user_id, joke_id)
-);
\ No newline at end of file
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS favorites;
+DROP TABLE IF EXISTS jokes;
+DROP TABLE IF EXISTS users;
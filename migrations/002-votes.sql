@@ -0,0 +1,14 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS votes (
+    user_id BIGINT REFERENCES users(id) ON DELETE CASCADE,
+    joke_id BIGINT REFERENCES jokes(id) ON DELETE CASCADE,
+    value SMALLINT NOT NULL CHECK (value IN (-1, 1)),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, joke_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_votes_joke_id ON votes(joke_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS votes;
@@ -0,0 +1,20 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS tags (
+    id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(30) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_name_lower ON tags(LOWER(name));
+
+CREATE TABLE IF NOT EXISTS joke_tags (
+    joke_id BIGINT REFERENCES jokes(id) ON DELETE CASCADE,
+    tag_id BIGINT REFERENCES tags(id) ON DELETE CASCADE,
+    PRIMARY KEY (joke_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_joke_tags_tag_id ON joke_tags(tag_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS joke_tags;
+DROP TABLE IF EXISTS tags;
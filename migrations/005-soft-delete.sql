@@ -0,0 +1,19 @@
+-- migrate:up
+ALTER TABLE jokes ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_jokes_deleted_at ON jokes(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Purging a joke must not fail because somebody favorited it.
+ALTER TABLE favorites DROP CONSTRAINT IF EXISTS favorites_joke_id_fkey;
+ALTER TABLE favorites
+    ADD CONSTRAINT favorites_joke_id_fkey
+    FOREIGN KEY (joke_id) REFERENCES jokes(id) ON DELETE CASCADE;
+
+-- migrate:down
+ALTER TABLE favorites DROP CONSTRAINT IF EXISTS favorites_joke_id_fkey;
+ALTER TABLE favorites
+    ADD CONSTRAINT favorites_joke_id_fkey
+    FOREIGN KEY (joke_id) REFERENCES jokes(id);
+
+DROP INDEX IF EXISTS idx_jokes_deleted_at;
+ALTER TABLE jokes DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,24 @@
+-- migrate:up
+-- Text-search configuration for a joke language; unknown languages fall
+-- back to 'simple' (no stemming).
+CREATE OR REPLACE FUNCTION joke_search_config(lang VARCHAR) RETURNS regconfig AS $$
+    SELECT CASE lang
+        WHEN 'ru' THEN 'russian'::regconfig
+        WHEN 'en' THEN 'english'::regconfig
+        ELSE 'simple'::regconfig
+    END
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Weighted document for a joke: title matches rank above body matches.
+CREATE OR REPLACE FUNCTION joke_search_vector(lang VARCHAR, title VARCHAR, body TEXT) RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector(joke_search_config(lang), COALESCE(title, '')), 'A')
+        || setweight(to_tsvector(joke_search_config(lang), COALESCE(body, '')), 'B')
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_jokes_search
+    ON jokes USING GIN (joke_search_vector(language, title, body));
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_jokes_search;
+DROP FUNCTION IF EXISTS joke_search_vector(VARCHAR, VARCHAR, TEXT);
+DROP FUNCTION IF EXISTS joke_search_config(VARCHAR);
@@ -0,0 +1,19 @@
+-- migrate:up
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'
+    CHECK (role IN ('user', 'moderator', 'admin'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS banned_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS ban_reason TEXT;
+
+-- Hidden jokes are taken down by a moderator but kept for their author.
+ALTER TABLE jokes ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE jokes ADD COLUMN IF NOT EXISTS hidden_by BIGINT REFERENCES users(id);
+ALTER TABLE jokes ADD COLUMN IF NOT EXISTS hide_reason TEXT;
+
+-- migrate:down
+ALTER TABLE jokes DROP COLUMN IF EXISTS hide_reason;
+ALTER TABLE jokes DROP COLUMN IF EXISTS hidden_by;
+ALTER TABLE jokes DROP COLUMN IF EXISTS hidden_at;
+
+ALTER TABLE users DROP COLUMN IF EXISTS ban_reason;
+ALTER TABLE users DROP COLUMN IF EXISTS banned_at;
+ALTER TABLE users DROP COLUMN IF EXISTS role;
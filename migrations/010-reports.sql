@@ -0,0 +1,34 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS reports (
+    id BIGSERIAL PRIMARY KEY,
+    joke_id BIGINT NOT NULL REFERENCES jokes(id) ON DELETE CASCADE,
+    reporter_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('offensive', 'spam', 'duplicate')),
+    comment TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'dismissed', 'actioned')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    resolved_by BIGINT REFERENCES users(id)
+);
+
+-- A user has at most one open report per joke.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_open_unique
+    ON reports(joke_id, reporter_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, joke_id);
+
+-- Audit log of moderation decisions. moderator_id is NULL for automatic ones.
+CREATE TABLE IF NOT EXISTS moderation_actions (
+    id BIGSERIAL PRIMARY KEY,
+    joke_id BIGINT REFERENCES jokes(id) ON DELETE SET NULL,
+    moderator_id BIGINT REFERENCES users(id),
+    action VARCHAR(20) NOT NULL CHECK (action IN ('dismiss', 'hide', 'unhide', 'delete', 'auto_hide')),
+    note TEXT,
+    reports_resolved INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_joke_id ON moderation_actions(joke_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS moderation_actions;
+DROP TABLE IF EXISTS reports;
@@ -0,0 +1,13 @@
+-- migrate:up
+-- Fixed-window counters shared by all app instances. Losing them on a crash
+-- only resets the limits, so the table is not WAL-logged.
+CREATE UNLOGGED TABLE IF NOT EXISTS rate_limits (
+    key TEXT PRIMARY KEY,
+    count INT NOT NULL,
+    reset_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits(reset_at);
+
+-- migrate:down
+DROP TABLE IF EXISTS rate_limits;
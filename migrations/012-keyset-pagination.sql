@@ -0,0 +1,26 @@
+-- migrate:up
+-- Keyset pagination compares row values, so the sort columns must not be NULL.
+UPDATE jokes SET score = 0 WHERE score IS NULL;
+UPDATE jokes SET views = 0 WHERE views IS NULL;
+UPDATE jokes SET created_at = updated_at WHERE created_at IS NULL;
+
+ALTER TABLE jokes
+    ALTER COLUMN score SET NOT NULL,
+    ALTER COLUMN views SET NOT NULL,
+    ALTER COLUMN created_at SET NOT NULL;
+
+-- One index per cursor sort, each ending with id as the tie-breaker. Both
+-- directions use the same index.
+CREATE INDEX IF NOT EXISTS idx_jokes_feed_created
+    ON jokes(created_at, id) WHERE deleted_at IS NULL AND hidden_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_jokes_feed_popular
+    ON jokes(score, views, id) WHERE deleted_at IS NULL AND hidden_at IS NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_jokes_feed_popular;
+DROP INDEX IF EXISTS idx_jokes_feed_created;
+
+ALTER TABLE jokes
+    ALTER COLUMN score DROP NOT NULL,
+    ALTER COLUMN views DROP NOT NULL,
+    ALTER COLUMN created_at DROP NOT NULL;
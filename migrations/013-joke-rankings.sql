@@ -0,0 +1,35 @@
+-- migrate:up
+-- Views per joke and day, written together with jokes.views when the view
+-- buffer is flushed. Trending needs to know when views happened.
+CREATE TABLE IF NOT EXISTS joke_daily_views (
+    joke_id BIGINT NOT NULL REFERENCES jokes(id) ON DELETE CASCADE,
+    day DATE NOT NULL,
+    views INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (joke_id, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_joke_daily_views_day ON joke_daily_views(day);
+
+-- Precomputed by jobs/computeRankings.js; requests only read them.
+CREATE TABLE IF NOT EXISTS joke_rankings (
+    joke_id BIGINT PRIMARY KEY REFERENCES jokes(id) ON DELETE CASCADE,
+    hot DOUBLE PRECISION NOT NULL DEFAULT 0,
+    trending_day DOUBLE PRECISION NOT NULL DEFAULT 0,
+    trending_week DOUBLE PRECISION NOT NULL DEFAULT 0,
+    trending_month DOUBLE PRECISION NOT NULL DEFAULT 0,
+    computed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_joke_rankings_hot ON joke_rankings(hot, joke_id);
+CREATE INDEX IF NOT EXISTS idx_joke_rankings_trending_day ON joke_rankings(trending_day, joke_id);
+CREATE INDEX IF NOT EXISTS idx_joke_rankings_trending_week ON joke_rankings(trending_week, joke_id);
+CREATE INDEX IF NOT EXISTS idx_joke_rankings_trending_month ON joke_rankings(trending_month, joke_id);
+
+CREATE INDEX IF NOT EXISTS idx_votes_updated_at ON votes(updated_at);
+CREATE INDEX IF NOT EXISTS idx_favorites_created_at ON favorites(created_at);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_favorites_created_at;
+DROP INDEX IF EXISTS idx_votes_updated_at;
+DROP TABLE IF EXISTS joke_rankings;
+DROP TABLE IF EXISTS joke_daily_views;
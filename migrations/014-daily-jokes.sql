@@ -0,0 +1,14 @@
+-- migrate:up
+-- One joke per calendar day and language ('all' when no language is given).
+CREATE TABLE IF NOT EXISTS daily_jokes (
+    day DATE NOT NULL,
+    language VARCHAR(10) NOT NULL,
+    joke_id BIGINT NOT NULL REFERENCES jokes(id) ON DELETE CASCADE,
+    picked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (day, language)
+);
+
+CREATE INDEX IF NOT EXISTS idx_daily_jokes_joke_id ON daily_jokes(joke_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS daily_jokes;
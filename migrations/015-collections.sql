@@ -0,0 +1,84 @@
+-- migrate:up
+-- Named joke lists. Every user has at most one default collection, which is
+-- what the /jokes/:id/favorite endpoints add to and remove from.
+CREATE TABLE IF NOT EXISTS collections (
+    id BIGSERIAL PRIMARY KEY,
+    user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    is_public BOOLEAN NOT NULL DEFAULT FALSE,
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    share_token VARCHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_collections_user_id ON collections(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_collections_default
+    ON collections(user_id) WHERE is_default;
+
+-- position orders the jokes inside a collection, lowest first.
+CREATE TABLE IF NOT EXISTS collection_jokes (
+    collection_id BIGINT NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+    joke_id BIGINT NOT NULL REFERENCES jokes(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    added_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (collection_id, joke_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_collection_jokes_joke_id ON collection_jokes(joke_id);
+CREATE INDEX IF NOT EXISTS idx_collection_jokes_added_at ON collection_jokes(added_at);
+
+-- Existing favorites become the default collections, oldest first, and the
+-- favorites table is replaced by a view over them so readers keep working.
+-- Favorites used to be visible to everybody, so these start out public.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.tables
+        WHERE table_name = 'favorites' AND table_type = 'BASE TABLE'
+    ) THEN
+        INSERT INTO collections (user_id, name, is_public, is_default, share_token)
+        SELECT DISTINCT f.user_id, 'Favorites', TRUE, TRUE, md5(random()::text || f.user_id::text || clock_timestamp()::text)
+        FROM favorites f
+        ON CONFLICT DO NOTHING;
+
+        INSERT INTO collection_jokes (collection_id, joke_id, position, added_at)
+        SELECT c.id, f.joke_id,
+               ROW_NUMBER() OVER (PARTITION BY f.user_id ORDER BY f.created_at, f.joke_id),
+               COALESCE(f.created_at, NOW())
+        FROM favorites f
+        JOIN collections c ON c.user_id = f.user_id AND c.is_default
+        ON CONFLICT DO NOTHING;
+
+        DROP TABLE favorites;
+    END IF;
+END $$;
+
+CREATE OR REPLACE VIEW favorites AS
+SELECT c.user_id, cj.joke_id, cj.added_at as created_at
+FROM collection_jokes cj
+JOIN collections c ON c.id = cj.collection_id
+WHERE c.is_default;
+
+-- migrate:down
+DROP VIEW IF EXISTS favorites;
+
+CREATE TABLE IF NOT EXISTS favorites (
+    user_id BIGINT REFERENCES users(id),
+    joke_id BIGINT REFERENCES jokes(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, joke_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_favorites_created_at ON favorites(created_at);
+
+INSERT INTO favorites (user_id, joke_id, created_at)
+SELECT c.user_id, cj.joke_id, cj.added_at
+FROM collection_jokes cj
+JOIN collections c ON c.id = cj.collection_id
+WHERE c.is_default
+ON CONFLICT DO NOTHING;
+
+DROP TABLE IF EXISTS collection_jokes;
+DROP TABLE IF EXISTS collections;
@@ -0,0 +1,13 @@
+-- migrate:up
+ALTER TABLE users ADD COLUMN IF NOT EXISTS bio TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_url TEXT;
+
+-- Profile pages list and count the jokes of one author.
+CREATE INDEX IF NOT EXISTS idx_jokes_author_id
+    ON jokes(author_id, created_at) WHERE deleted_at IS NULL AND hidden_at IS NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_jokes_author_id;
+
+ALTER TABLE users DROP COLUMN IF EXISTS avatar_url;
+ALTER TABLE users DROP COLUMN IF EXISTS bio;
@@ -0,0 +1,23 @@
+-- migrate:up
+CREATE TABLE IF NOT EXISTS notifications (
+    id BIGSERIAL PRIMARY KEY,
+    user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('favorite', 'vote', 'comment')),
+    joke_id BIGINT NOT NULL REFERENCES jokes(id) ON DELETE CASCADE,
+    actor_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    comment_id BIGINT REFERENCES comments(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    read_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Notifications are listed in groups of one type on one joke.
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, joke_id, type);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+-- Favoriting or voting again does not notify twice until the author has
+-- read the first notification. Every comment is a notification of its own.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_unread_actor
+    ON notifications(user_id, type, joke_id, actor_id) WHERE read_at IS NULL AND type <> 'comment';
+
+-- migrate:down
+DROP TABLE IF EXISTS notifications;
@@ -0,0 +1,20 @@
+-- migrate:up
+-- Jokes deleted by a moderator stay out of their author's trash and cannot
+-- be restored. deleted_by is NULL when the author deleted the joke.
+ALTER TABLE jokes ADD COLUMN IF NOT EXISTS deleted_by BIGINT REFERENCES users(id);
+ALTER TABLE jokes ADD COLUMN IF NOT EXISTS delete_reason TEXT;
+
+-- Jokes already deleted from the moderation queue, still in the trash.
+UPDATE jokes j
+SET deleted_by = ma.moderator_id, delete_reason = ma.note
+FROM (
+    SELECT DISTINCT ON (joke_id) joke_id, moderator_id, note, created_at
+    FROM moderation_actions
+    WHERE action = 'delete'
+    ORDER BY joke_id, created_at DESC
+) ma
+WHERE ma.joke_id = j.id AND j.deleted_at IS NOT NULL AND ma.created_at >= j.deleted_at;
+
+-- migrate:down
+ALTER TABLE jokes DROP COLUMN IF EXISTS delete_reason;
+ALTER TABLE jokes DROP COLUMN IF EXISTS deleted_by;
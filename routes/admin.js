@@ -0,0 +1,155 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { validatePagination, paginated } = require('../middleware/pagination');
+const { pool } = require('../config/db');
+const { revokeAllSessions } = require('../services/sessions');
+const { BadRequestError, NotFoundError } = require('../errors');
+const router = express.Router();
+
+const logger = require('../config/logger').getLogger('admin');
+
+router.use(auth, authorize('admin'));
+
+const validateTarget = (req, res, next) => {
+  // Admins cannot demote or ban themselves and lock everybody out.
+  if (String(req.params.id) === String(req.user.id)) {
+    return next(new BadRequestError('Invalid target', 'You cannot change your own role or ban yourself'));
+  }
+
+  next();
+};
+
+router.get('/users', validatePagination, async (req, res, next) => {
+  try {
+    const { page, limit, offset } = req.pagination;
+    const { role, banned, q } = req.query;
+
+    let whereConditions = [];
+    let queryParams = [];
+
+    if (role) {
+      queryParams.push(role);
+      whereConditions.push(`role = $${queryParams.length}`);
+    }
+
+    if (banned === 'true' || banned === 'false') {
+      whereConditions.push(banned === 'true' ? 'banned_at IS NOT NULL' : 'banned_at IS NULL');
+    }
+
+    if (q) {
+      queryParams.push(`%${q}%`);
+      whereConditions.push(`(username ILIKE $${queryParams.length} OR email ILIKE $${queryParams.length})`);
+    }
+
+    const whereClause = whereConditions.length > 0
+      ? `WHERE ${whereConditions.join(' AND ')}`
+      : '';
+
+    const result = await pool.query(
+      `SELECT id, username, display_name, email, role, banned_at, ban_reason,
+              created_at, last_seen_at
+       FROM users
+       ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM users ${whereClause}`,
+      queryParams
+    );
+
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    res.json({
+      success: true,
+      data: paginated(result.rows, total, { page, limit })
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch('/users/:id/role', validateTarget, async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    logger.debug(`Admin ${req.user.id} sets role of user ${req.params.id} to ${role}`);
+
+    const result = await pool.query(
+      'UPDATE users SET role = $1 WHERE id = $2 RETURNING id, username, role',
+      [role, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/users/:id/ban', validateTarget, async (req, res, next) => {
+  try {
+    const { reason = null } = req.body || {};
+
+    logger.debug(`Admin ${req.user.id} bans user ${req.params.id}`);
+
+    const result = await pool.query(
+      `UPDATE users SET banned_at = COALESCE(banned_at, NOW()), ban_reason = $1
+       WHERE id = $2
+       RETURNING id, username, banned_at, ban_reason`,
+      [reason, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    await revokeAllSessions(req.params.id);
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/users/:id/unban', validateTarget, async (req, res, next) => {
+  try {
+    logger.debug(`Admin ${req.user.id} unbans user ${req.params.id}`);
+
+    const result = await pool.query(
+      `UPDATE users SET banned_at = NULL, ban_reason = NULL
+       WHERE id = $1
+       RETURNING id, username, banned_at`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
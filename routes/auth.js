@@ -1,138 +1,100 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
 const { pool } = require('../config/db');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessions');
+const { consumeAccountToken } = require('../services/accountTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
+const { getLockout, recordFailure, clearFailures } = require('../services/loginLockout');
+const { logins, failedLogins } = require('../services/metrics');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError
+} = require('../errors');
 const router = express.Router();
 
-const log4js = require('log4js');
-const logger = log4js.getLogger();
-logger.level = 'debug';
+const logger = require('../config/logger').getLogger('auth');
 
-console.log('Pool in auth routes:', pool ? 'defined' : 'undefined');
+const HOUR = 60 * 60 * 1000;
 
-const validateRegistration = (req, res, next) => {
-  const { username, email, password } = req.body;
-  
-  if (!username || !email || !password) {
-    return res.status(400).json({ 
-      error: 'Missing required fields',
-      details: 'Username, email and password are required' 
-    });
-  }
-
-  if (password.length < 6) {
-    return res.status(400).json({ 
-      error: 'Password too short',
-      details: 'Password must be at least 6 characters long' 
-    });
-  }
-
-  if (!/\S+@\S+\.\S+/.test(email)) {
-    return res.status(400).json({ 
-      error: 'Invalid email format',
-      details: 'Please provide a valid email address' 
-    });
-  }
-
-  next();
-};
+const loginLimiter = rateLimit({ name: 'login', windowMs: 15 * 60 * 1000, max: 20 });
+const registerLimiter = rateLimit({ name: 'register', windowMs: HOUR, max: 5 });
+const refreshLimiter = rateLimit({ name: 'refresh', windowMs: 15 * 60 * 1000, max: 60 });
+// Shared by every endpoint that sends an email, so they cannot be used to spam inboxes.
+const accountEmailLimiter = rateLimit({ name: 'account-email', windowMs: HOUR, max: 5 });
+const accountTokenLimiter = rateLimit({ name: 'account-token', windowMs: 15 * 60 * 1000, max: 20 });
 
-const validateLogin = (req, res, next) => {
-  const { username, password } = req.body;
-  
-  if (!username || !password) {
-    return res.status(400).json({ 
-      error: 'Missing required fields',
-      details: 'Username and password are required' 
-    });
-  }
-
-  next();
-};
-
-const handleDatabaseError = (error, res) => {
-  logger.error('Database error:', error);
-
-  if (error.code === '23505') {
-    const constraint = error.constraint;
-    if (constraint.includes('username')) {
-      return res.status(400).json({ 
-        error: 'Username already exists',
-        details: 'Please choose a different username' 
-      });
-    }
-    if (constraint.includes('email')) {
-      return res.status(400).json({ 
-        error: 'Email already exists',
-        details: 'This email is already registered' 
-      });
-    }
-  }
-
-  if (error.code === '23503') {
-    return res.status(400).json({ 
-      error: 'Reference error',
-      details: 'Related record not found' 
-    });
-  }
-
-  if (error.code === '23514') {
-    return res.status(400).json({ 
-      error: 'Validation error',
-      details: 'Invalid data provided' 
-    });
+// Mail delivery problems are logged but never fail the request that
+// triggered the email.
+const sendSafely = async (send, user) => {
+  try {
+    await send(user);
+  } catch (error) {
+    logger.error(`Failed to send email to user ${user.id}:`, error);
   }
-
-  return res.status(500).json({ 
-    error: 'Database error',
-    details: 'Please try again later' 
-  });
 };
 
-router.post('/register', validateRegistration, async (req, res) => {
+router.post('/register', registerLimiter, async (req, res, next) => {
   try {
     const { username, email, password, display_name } = req.body;
     
-    logger.debug(`Registration attempt for username: ${username}, email: ${email}`);
+    logger.debug(`Registration attempt for username: ${username}`);
 
     const passwordHash = await bcrypt.hash(password, 10);
     
     const result = await pool.query(
-      'INSERT INTO users (username, email, password_hash, display_name) VALUES ($1, $2, $3, $4) RETURNING id, username, display_name, email',
+      'INSERT INTO users (username, email, password_hash, display_name) VALUES ($1, $2, $3, $4) RETURNING id, username, display_name, email, role',
       [username, email, passwordHash, display_name || username]
     );
 
-    logger.debug('User registered successfully:', result.rows[0]);
+    logger.debug(`User registered successfully: ${username} (ID: ${result.rows[0].id})`);
     
-    const token = jwt.sign(
-      { id: result.rows[0].id }, 
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const tokens = await createSession(result.rows[0], req.get('User-Agent'));
+
+    await sendSafely(sendVerificationEmail, result.rows[0]);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
       data: {
         id: result.rows[0].id,
         username: result.rows[0].username,
         display_name: result.rows[0].display_name,
         email: result.rows[0].email,
-        token
+        role: result.rows[0].role,
+        ...tokens
       }
     });
 
   } catch (error) {
-    handleDatabaseError(error, res);
+    next(error);
   }
 });
 
-router.post('/login', validateLogin, async (req, res) => {
+router.post('/login', loginLimiter, async (req, res, next) => {
   try {
     const { username, password } = req.body;
     
     logger.debug(`Login attempt for username: ${username}`);
 
+    const lockedFor = await getLockout(username);
+
+    if (lockedFor > 0) {
+      logger.debug(`Login for locked username: ${username}`);
+      failedLogins.inc({ reason: 'locked' });
+      res.set('Retry-After', String(lockedFor));
+      return next(new TooManyRequestsError('Too many failed login attempts',
+        `Please try again in ${lockedFor} seconds`, 'ACCOUNT_LOCKED'));
+    }
+
     const result = await pool.query(
       'SELECT * FROM users WHERE username = $1', 
       [username]
@@ -140,11 +102,10 @@ router.post('/login', validateLogin, async (req, res) => {
     
     if (result.rows.length === 0) {
       logger.debug(`User not found: ${username}`);
-      return res.status(401).json({ 
-        success: false,
-        error: 'Authentication failed',
-        details: 'Invalid username or password' 
-      });
+      await recordFailure(username);
+      failedLogins.inc({ reason: 'invalid_credentials' });
+      return next(new UnauthorizedError('Authentication failed',
+        'Invalid username or password', 'INVALID_CREDENTIALS'));
     }
 
     const user = result.rows[0];
@@ -152,57 +113,222 @@ router.post('/login', validateLogin, async (req, res) => {
     
     if (!validPassword) {
       logger.debug(`Invalid password for user: ${username}`);
-      return res.status(401).json({ 
-        success: false,
-        error: 'Authentication failed', 
-        details: 'Invalid username or password' 
-      });
+      await recordFailure(username);
+      failedLogins.inc({ reason: 'invalid_credentials' });
+      return next(new UnauthorizedError('Authentication failed',
+        'Invalid username or password', 'INVALID_CREDENTIALS'));
     }
 
-    const token = jwt.sign(
-      { id: user.id }, 
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    await clearFailures(username);
+
+    if (user.banned_at) {
+      logger.debug(`Banned user tried to log in: ${username}`);
+      failedLogins.inc({ reason: 'banned' });
+      return next(new ForbiddenError('Account banned',
+        user.ban_reason || 'Your account has been banned', 'ACCOUNT_BANNED'));
+    }
+
+    const tokens = await createSession(user, req.get('User-Agent'));
 
     logger.debug(`User logged in successfully: ${username}`);
+    logins.inc();
 
     res.json({
       success: true,
-      message: 'Login successful',
       data: {
-        token,
+        ...tokens,
         user: {
           id: user.id,
           username: user.username,
           display_name: user.display_name,
-          email: user.email
+          email: user.email,
+          role: user.role
         }
       }
     });
 
   } catch (error) {
-    logger.error('Login error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Server error',
-      details: 'Please try again later' 
+    next(error);
+  }
+});
+
+router.post('/refresh', refreshLimiter, async (req, res, next) => {
+  try {
+    const { refresh_token: refreshToken } = req.body;
+
+    const { tokens, error } = await rotateRefreshToken(refreshToken);
+
+    if (error) {
+      return next(new UnauthorizedError('Authentication failed', error, 'INVALID_REFRESH_TOKEN'));
+    }
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/logout', auth, async (req, res, next) => {
+  try {
+    await revokeSession(req.user.sid);
+
+    logger.debug(`User ${req.user.id} logged out of session ${req.user.sid}`);
+
+    res.status(204).send();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/logout-all', auth, async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+
+    logger.debug(`User ${req.user.id} logged out of ${revoked} sessions`);
+
+    res.json({
+      success: true,
+      data: { revoked_sessions: revoked }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/forgot-password', accountEmailLimiter, async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const result = await pool.query(
+      'SELECT id, username, display_name, email FROM users WHERE email = $1',
+      [email]
+    );
+
+    // Not awaited: issuing the token and talking to SMTP take time, and a
+    // slower answer would give away that the email is registered.
+    if (result.rows.length > 0) {
+      sendSafely(sendPasswordResetEmail, result.rows[0]);
+    }
+
+    // Same answer whether or not the email is registered, so this endpoint
+    // cannot be used to find out who has an account.
+    res.json({
+      success: true,
+      data: { message: 'If this email is registered, a password reset link has been sent' }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/reset-password', accountTokenLimiter, async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await consumeAccountToken(token, 'password_reset');
+
+    if (!userId) {
+      return next(new BadRequestError('Invalid token',
+        'The reset link is invalid or has expired', 'INVALID_TOKEN'));
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    await pool.query(
+      'UPDATE users SET password_hash = $1 WHERE id = $2',
+      [passwordHash, userId]
+    );
+
+    // Whoever knew the old password must not stay logged in.
+    await revokeAllSessions(userId);
+
+    logger.debug(`Password reset for user: ${userId}`);
+
+    res.json({
+      success: true,
+      data: { message: 'Password has been reset, please log in again' }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/verify-email', accountTokenLimiter, async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const userId = await consumeAccountToken(token, 'email_verification');
+
+    if (!userId) {
+      return next(new BadRequestError('Invalid token',
+        'The verification link is invalid or has expired', 'INVALID_TOKEN'));
+    }
+
+    const result = await pool.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = $1
+       RETURNING id, email, email_verified_at`,
+      [userId]
+    );
+
+    logger.debug(`Email verified for user: ${userId}`);
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/resend-verification', auth, accountEmailLimiter, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, username, display_name, email, email_verified_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    if (result.rows[0].email_verified_at) {
+      return next(new BadRequestError('Email already verified', null, 'EMAIL_ALREADY_VERIFIED'));
+    }
+
+    await sendVerificationEmail(result.rows[0]);
+
+    res.json({
+      success: true,
+      data: { message: 'Verification email sent' }
     });
+
+  } catch (error) {
+    next(error);
   }
 });
 
-router.get('/me', require('../middleware/auth'), async (req, res) => {
+router.get('/me', auth, async (req, res, next) => {
   try {
     const result = await pool.query(
-      'SELECT id, username, email, display_name, created_at FROM users WHERE id = $1', 
+      `SELECT id, username, email, display_name, bio, avatar_url, role, email_verified_at,
+              created_at, last_seen_at
+       FROM users WHERE id = $1`,
       [req.user.id]
     );
     
     if (result.rows.length === 0) {
-      return res.status(404).json({ 
-        success: false,
-        error: 'User not found' 
-      });
+      return next(new NotFoundError('User not found'));
     }
 
     res.json({
@@ -211,16 +337,11 @@ router.get('/me', require('../middleware/auth'), async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Get user profile error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Server error',
-      details: 'Failed to retrieve user profile' 
-    });
+    next(error);
   }
 });
 
-router.post('/check-availability', async (req, res) => {
+router.post('/check-availability', async (req, res, next) => {
   try {
     const { username, email } = req.body;
     const results = {}; 
@@ -247,11 +368,7 @@ router.post('/check-availability', async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Check availability error:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Server error' 
-    });
+    next(error);
   }
 });
 
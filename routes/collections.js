@@ -0,0 +1,414 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { validatePagination, paginated } = require('../middleware/pagination');
+const { pool } = require('../config/db');
+const {
+  DEFAULT_COLLECTION_NAME,
+  generateShareToken,
+  formatCollection
+} = require('../services/collections');
+const { VISIBLE_JOKE, JOKE_COLUMNS } = require('../services/jokeQueries');
+const {
+  BadRequestError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../errors');
+const router = express.Router();
+
+const logger = require('../config/logger').getLogger('collections');
+
+const COLLECTION_COLUMNS = `c.id, c.user_id, u.username as owner_name, c.name, c.description,
+  c.is_public, c.is_default, c.share_token, c.created_at, c.updated_at`;
+
+// The fields themselves are checked against docs/openapi.yaml; an update
+// has to change at least one of them.
+const validateCollectionUpdate = (req, res, next) => {
+  const { name, description, is_public: isPublic } = req.body;
+
+  if (name === undefined && description === undefined && isPublic === undefined) {
+    return next(new ValidationError('Nothing to update', 'Provide name, description or is_public'));
+  }
+
+  next();
+};
+
+// Loads a collection and checks that it belongs to the caller, or with
+// allowPublic that the caller may at least read it. Throws otherwise;
+// private collections of other users look the same as missing ones.
+const findOwnCollection = async (req, { allowPublic = false } = {}) => {
+  const result = await pool.query(
+    `SELECT ${COLLECTION_COLUMNS}
+     FROM collections c
+     JOIN users u ON c.user_id = u.id
+     WHERE c.id = $1`,
+    [req.params.id]
+  );
+
+  const collection = result.rows[0];
+
+  if (!collection || (String(collection.user_id) !== String(req.user.id) && !collection.is_public)) {
+    throw new NotFoundError('Collection not found');
+  }
+
+  if (String(collection.user_id) !== String(req.user.id) && !allowPublic) {
+    throw new ForbiddenError('Forbidden', 'You can only change your own collections');
+  }
+
+  return collection;
+};
+
+// Sends a collection with one page of its visible jokes in collection order.
+const sendCollection = async (collection, req, res) => {
+  const { page, limit, offset } = req.pagination;
+
+  const [jokes, count] = await Promise.all([
+    pool.query(
+      `SELECT ${JOKE_COLUMNS}, cj.position, cj.added_at
+       FROM collection_jokes cj
+       JOIN jokes j ON cj.joke_id = j.id
+       LEFT JOIN users u ON j.author_id = u.id
+       WHERE cj.collection_id = $1 AND ${VISIBLE_JOKE}
+       ORDER BY cj.position, cj.added_at
+       LIMIT $2 OFFSET $3`,
+      [collection.id, limit, offset]
+    ),
+    pool.query(
+      `SELECT COUNT(*) as total
+       FROM collection_jokes cj
+       JOIN jokes j ON cj.joke_id = j.id
+       WHERE cj.collection_id = $1 AND j.deleted_at IS NULL AND j.hidden_at IS NULL`,
+      [collection.id]
+    )
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      collection: formatCollection(collection),
+      ...paginated(jokes.rows, parseInt(count.rows[0].total, 10), { page, limit })
+    }
+  });
+};
+
+// Public collections by their share link, no login needed.
+router.get('/shared/:token', validatePagination, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${COLLECTION_COLUMNS}
+       FROM collections c
+       JOIN users u ON c.user_id = u.id
+       WHERE c.share_token = $1 AND c.is_public AND u.banned_at IS NULL`,
+      [req.params.token]
+    );
+
+    if (result.rows.length === 0) {
+      return next(new NotFoundError('Collection not found'));
+    }
+
+    await sendCollection(result.rows[0], req, res);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.use(auth);
+
+// The caller's collections, the default one first. It is created here when
+// the user has never favorited anything yet.
+router.get('/', async (req, res, next) => {
+  try {
+    await pool.query(
+      `INSERT INTO collections (user_id, name, is_public, is_default, share_token)
+       VALUES ($1, $2, TRUE, TRUE, $3)
+       ON CONFLICT (user_id) WHERE is_default DO NOTHING`,
+      [req.user.id, DEFAULT_COLLECTION_NAME, generateShareToken()]
+    );
+
+    const result = await pool.query(
+      `SELECT ${COLLECTION_COLUMNS}, COUNT(j.id)::int as jokes_count
+       FROM collections c
+       JOIN users u ON c.user_id = u.id
+       LEFT JOIN collection_jokes cj ON cj.collection_id = c.id
+       LEFT JOIN jokes j ON cj.joke_id = j.id AND j.deleted_at IS NULL AND j.hidden_at IS NULL
+       WHERE c.user_id = $1
+       GROUP BY c.id, u.username
+       ORDER BY c.is_default DESC, c.created_at, c.id`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.map(formatCollection)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, description = null, is_public: isPublic = false } = req.body;
+
+    logger.debug(`Creating collection by user: ${req.user.id}`);
+
+    const result = await pool.query(
+      `WITH new_collection AS (
+         INSERT INTO collections (user_id, name, description, is_public, share_token)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *
+       )
+       SELECT ${COLLECTION_COLUMNS}
+       FROM new_collection c
+       JOIN users u ON c.user_id = u.id`,
+      [req.user.id, name.trim(), description, isPublic, generateShareToken()]
+    );
+
+    res.status(201).json({
+      success: true,
+      data: formatCollection(result.rows[0])
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', validatePagination, async (req, res, next) => {
+  try {
+    const collection = await findOwnCollection(req, { allowPublic: true });
+
+    await sendCollection(collection, req, res);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch('/:id', validateCollectionUpdate, async (req, res, next) => {
+  try {
+    const { name, description, is_public: isPublic } = req.body;
+
+    await findOwnCollection(req);
+
+    logger.debug(`Updating collection ID: ${req.params.id} by user: ${req.user.id}`);
+
+    const updateFields = [];
+    const queryParams = [];
+
+    if (name !== undefined) {
+      queryParams.push(name.trim());
+      updateFields.push(`name = $${queryParams.length}`);
+    }
+
+    if (description !== undefined) {
+      queryParams.push(description);
+      updateFields.push(`description = $${queryParams.length}`);
+    }
+
+    if (isPublic !== undefined) {
+      queryParams.push(isPublic);
+      updateFields.push(`is_public = $${queryParams.length}`);
+    }
+
+    updateFields.push('updated_at = NOW()');
+    queryParams.push(req.params.id);
+
+    const result = await pool.query(
+      `WITH updated AS (
+         UPDATE collections
+         SET ${updateFields.join(', ')}
+         WHERE id = $${queryParams.length}
+         RETURNING *
+       )
+       SELECT ${COLLECTION_COLUMNS}
+       FROM updated c
+       JOIN users u ON c.user_id = u.id`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: formatCollection(result.rows[0])
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const collection = await findOwnCollection(req);
+
+    if (collection.is_default) {
+      return next(new BadRequestError('Cannot delete the default collection',
+        'Favorites are kept in it; remove the jokes instead'));
+    }
+
+    logger.debug(`Deleting collection ID: ${req.params.id} by user: ${req.user.id}`);
+
+    await pool.query('DELETE FROM collections WHERE id = $1', [req.params.id]);
+
+    res.status(204).send();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replaces the share link, so the old one stops working.
+router.post('/:id/share-token', async (req, res, next) => {
+  try {
+    await findOwnCollection(req);
+
+    const result = await pool.query(
+      `WITH updated AS (
+         UPDATE collections SET share_token = $1, updated_at = NOW()
+         WHERE id = $2
+         RETURNING *
+       )
+       SELECT ${COLLECTION_COLUMNS}
+       FROM updated c
+       JOIN users u ON c.user_id = u.id`,
+      [generateShareToken(), req.params.id]
+    );
+
+    res.json({
+      success: true,
+      data: formatCollection(result.rows[0])
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Adds a joke to the end of the collection.
+router.post('/:id/jokes', async (req, res, next) => {
+  try {
+    const { joke_id: jokeId } = req.body;
+
+    await findOwnCollection(req);
+
+    const joke = await pool.query(
+      'SELECT id FROM jokes WHERE id = $1 AND deleted_at IS NULL AND hidden_at IS NULL',
+      [jokeId]
+    );
+
+    if (joke.rows.length === 0) {
+      return next(new NotFoundError('Joke not found'));
+    }
+
+    const result = await pool.query(
+      `WITH added AS (
+         INSERT INTO collection_jokes (collection_id, joke_id, position)
+         SELECT $1, $2, COALESCE(MAX(position), 0) + 1
+         FROM collection_jokes WHERE collection_id = $1
+         ON CONFLICT (collection_id, joke_id) DO NOTHING
+         RETURNING *
+       ),
+       touched AS (
+         UPDATE collections SET updated_at = NOW()
+         WHERE id = $1 AND EXISTS (SELECT 1 FROM added)
+       )
+       SELECT * FROM added`,
+      [req.params.id, jokeId]
+    );
+
+    if (result.rows.length === 0) {
+      return next(new ConflictError('Joke already in collection', null, 'ALREADY_IN_COLLECTION'));
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id/jokes/:jokeId', async (req, res, next) => {
+  try {
+    await findOwnCollection(req);
+
+    const result = await pool.query(
+      'DELETE FROM collection_jokes WHERE collection_id = $1 AND joke_id = $2',
+      [req.params.id, req.params.jokeId]
+    );
+
+    if (result.rowCount === 0) {
+      return next(new NotFoundError('Joke not in collection'));
+    }
+
+    res.status(204).send();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Moves the given jokes to the top of the collection in the given order.
+// Jokes left out (including hidden ones the owner cannot see) keep their
+// relative order after them.
+router.put('/:id/order', async (req, res, next) => {
+  try {
+    const { joke_ids: jokeIds } = req.body;
+
+    // 7 and '7' are the same joke.
+    const ids = jokeIds.map(String);
+
+    if (new Set(ids).size !== ids.length) {
+      return next(new ValidationError('Invalid joke_ids', 'joke_ids must not repeat'));
+    }
+
+    await findOwnCollection(req);
+
+    const members = await pool.query(
+      'SELECT joke_id FROM collection_jokes WHERE collection_id = $1 AND joke_id = ANY($2::bigint[])',
+      [req.params.id, ids]
+    );
+
+    if (members.rows.length !== ids.length) {
+      const found = new Set(members.rows.map((row) => String(row.joke_id)));
+
+      return next(new ValidationError('Invalid joke_ids',
+        `Not in this collection: ${ids.filter((id) => !found.has(id)).join(', ')}`));
+    }
+
+    logger.debug(`Reordering collection ID: ${req.params.id} by user: ${req.user.id}`);
+
+    await pool.query(
+      `WITH ordered AS (
+         SELECT cj.joke_id,
+                ROW_NUMBER() OVER (ORDER BY o.ord NULLS LAST, cj.position, cj.added_at) as position
+         FROM collection_jokes cj
+         LEFT JOIN unnest($2::bigint[]) WITH ORDINALITY AS o(joke_id, ord) ON o.joke_id = cj.joke_id
+         WHERE cj.collection_id = $1
+       ),
+       touched AS (
+         UPDATE collections SET updated_at = NOW() WHERE id = $1
+       )
+       UPDATE collection_jokes cj
+       SET position = ordered.position
+       FROM ordered
+       WHERE cj.collection_id = $1 AND cj.joke_id = ordered.joke_id`,
+      [req.params.id, ids]
+    );
+
+    res.json({
+      success: true,
+      data: { message: 'Collection reordered successfully' }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,201 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { validatePagination, paginated } = require('../middleware/pagination');
+const rateLimit = require('../middleware/rateLimit');
+const { pool } = require('../config/db');
+const { isModerator } = require('../services/moderation');
+const { notifyAuthorCte } = require('../services/notifications');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../errors');
+const router = express.Router({ mergeParams: true });
+
+const logger = require('../config/logger').getLogger('comments');
+
+const commentLimiter = rateLimit({ name: 'comment', windowMs: 10 * 60 * 1000, max: 30, keyBy: 'user' });
+
+// Loads a comment of the given joke and checks that the caller wrote it.
+// Throws when the caller may not touch it.
+const findOwnComment = async (req) => {
+  const { jokeId, commentId } = req.params;
+
+  const existingComment = await pool.query(
+    'SELECT author_id FROM comments WHERE id = $1 AND joke_id = $2',
+    [commentId, jokeId]
+  );
+
+  if (existingComment.rows.length === 0) {
+    throw new NotFoundError('Comment not found');
+  }
+
+  if (existingComment.rows[0].author_id !== req.user.id) {
+    throw new ForbiddenError('Forbidden', 'You can only change your own comments');
+  }
+
+  return existingComment.rows[0];
+};
+
+// Comments are only listed where the joke itself can be seen: a deleted
+// joke has none, a hidden one only for its author and moderators.
+router.get('/', optionalAuth, validatePagination, async (req, res, next) => {
+  try {
+    const { jokeId } = req.params;
+    const { page, limit, offset } = req.pagination;
+
+    logger.debug(`Fetching comments for joke ID: ${jokeId} - page: ${page}, limit: ${limit}`);
+
+    const joke = await pool.query(
+      'SELECT author_id, hidden_at FROM jokes WHERE id = $1 AND deleted_at IS NULL',
+      [jokeId]
+    );
+
+    const hiddenFromViewer = joke.rows.length > 0
+      && joke.rows[0].hidden_at
+      && !isModerator(req.user)
+      && !(req.user && joke.rows[0].author_id === req.user.id);
+
+    if (joke.rows.length === 0 || hiddenFromViewer) {
+      return next(new NotFoundError('Joke not found'));
+    }
+
+    const result = await pool.query(
+      `SELECT c.id, c.joke_id, c.author_id, u.username as author_name,
+              c.body, c.created_at, c.updated_at,
+              COALESCE((
+                SELECT json_agg(json_build_object(
+                  'id', r.id,
+                  'author_id', r.author_id,
+                  'author_name', ru.username,
+                  'body', r.body,
+                  'created_at', r.created_at,
+                  'updated_at', r.updated_at
+                ) ORDER BY r.created_at ASC)
+                FROM comments r
+                LEFT JOIN users ru ON r.author_id = ru.id
+                WHERE r.parent_id = c.id
+              ), '[]') as replies
+       FROM comments c
+       LEFT JOIN users u ON c.author_id = u.id
+       WHERE c.joke_id = $1 AND c.parent_id IS NULL
+       ORDER BY c.created_at ASC
+       LIMIT $2 OFFSET $3`,
+      [jokeId, limit, offset]
+    );
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*) as total FROM comments WHERE joke_id = $1 AND parent_id IS NULL',
+      [jokeId]
+    );
+
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    res.json({
+      success: true,
+      data: paginated(result.rows, total, { page, limit })
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', auth, commentLimiter, async (req, res, next) => {
+  try {
+    const { jokeId } = req.params;
+    const { body, parent_id: parentId = null } = req.body;
+
+    logger.debug(`Creating comment on joke ID: ${jokeId} by user: ${req.user.id}`);
+
+    const joke = await pool.query(
+      'SELECT id FROM jokes WHERE id = $1 AND deleted_at IS NULL AND hidden_at IS NULL',
+      [jokeId]
+    );
+
+    if (joke.rows.length === 0) {
+      return next(new NotFoundError('Joke not found'));
+    }
+
+    if (parentId !== null) {
+      const parent = await pool.query(
+        'SELECT joke_id, parent_id FROM comments WHERE id = $1',
+        [parentId]
+      );
+
+      if (parent.rows.length === 0 || String(parent.rows[0].joke_id) !== String(jokeId)) {
+        return next(new ValidationError('Invalid parent comment',
+          'Parent comment does not belong to this joke'));
+      }
+
+      if (parent.rows[0].parent_id !== null) {
+        return next(new ValidationError('Invalid parent comment', 'Replies to replies are not allowed'));
+      }
+    }
+
+    const result = await pool.query(
+      `WITH new_comment AS (
+         INSERT INTO comments (joke_id, author_id, parent_id, body)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *
+       ),
+       ${notifyAuthorCte('comment', { source: 'new_comment', actor: '$2', commentId: 's.id' })}
+       SELECT c.*, u.username as author_name
+       FROM new_comment c
+       LEFT JOIN users u ON c.author_id = u.id`,
+      [jokeId, req.user.id, parentId, body]
+    );
+
+    logger.debug(`Comment created successfully with ID: ${result.rows[0].id}`);
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch('/:commentId', auth, async (req, res, next) => {
+  try {
+    const { commentId } = req.params;
+
+    logger.debug(`Updating comment ID: ${commentId} by user: ${req.user.id}`);
+
+    await findOwnComment(req);
+
+    const result = await pool.query(
+      `UPDATE comments
+       SET body = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING id, joke_id, parent_id, body, updated_at`,
+      [req.body.body, commentId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:commentId', auth, async (req, res, next) => {
+  try {
+    const { commentId } = req.params;
+
+    logger.debug(`Deleting comment ID: ${commentId} by user: ${req.user.id}`);
+
+    await findOwnComment(req);
+
+    await pool.query('DELETE FROM comments WHERE id = $1', [commentId]);
+
+    res.status(204).send();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,47 +1,179 @@
-  const express = require('express');
-  const auth = require('../middleware/auth');
-  const { pool } = require('../config/db');
-  const router = express.Router();
-
-  router.post('/jokes/:id/favorite', auth, async (req, res) => {
-    try {
-      await pool.query(
-        'INSERT INTO favorites (user_id, joke_id) VALUES ($1, $2)',
-        [req.user.id, req.params.id]
-      );
-      res.status(201).send();
-    } catch (error) {
-      res.status(400).json({ error: error.message });
+const express = require('express');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { validatePagination, paginated } = require('../middleware/pagination');
+const { pool } = require('../config/db');
+const {
+  DEFAULT_COLLECTION_NAME,
+  generateShareToken,
+  defaultCollectionCtes
+} = require('../services/collections');
+const { notifyAuthorCte } = require('../services/notifications');
+const { VISIBLE_JOKE, JOKE_COLUMNS } = require('../services/jokeQueries');
+const { favoritesAdded } = require('../services/metrics');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../errors');
+const router = express.Router();
+
+const logger = require('../config/logger').getLogger('favorites');
+
+// Favorites are the jokes of the user's default collection. New ones go to
+// the end of it; others only see them while it is public.
+const FAVORITE_SORTS = {
+  newest: 'cj.added_at DESC, j.id DESC',
+  oldest: 'cj.added_at ASC, j.id ASC',
+  position: 'cj.position ASC, cj.added_at ASC',
+  popular: 'j.score DESC, j.views DESC, j.id DESC'
+};
+
+// Adding a joke that is already a favorite is not an error: the answer is
+// 200 instead of 201. Only a new favorite notifies the author.
+router.post('/jokes/:id/favorite', auth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const joke = await pool.query(
+      'SELECT id FROM jokes WHERE id = $1 AND deleted_at IS NULL AND hidden_at IS NULL',
+      [id]
+    );
+
+    if (joke.rows.length === 0) {
+      return next(new NotFoundError('Joke not found'));
     }
-  });
-
-  router.delete('/jokes/:id/favorite', auth, async (req, res) => {
-    try {
-      await pool.query(
-        'DELETE FROM favorites WHERE user_id = $1 AND joke_id = $2',
-        [req.user.id, req.params.id]
-      );
-      res.status(204).send();
-    } catch (error) {
-      res.status(400).json({ error: error.message });
+
+    const result = await pool.query(
+      `WITH ${defaultCollectionCtes},
+      added AS (
+        INSERT INTO collection_jokes (collection_id, joke_id, position)
+        SELECT t.id, $3,
+               COALESCE((SELECT MAX(position) FROM collection_jokes WHERE collection_id = t.id), 0) + 1
+        FROM target t
+        ON CONFLICT (collection_id, joke_id) DO NOTHING
+        RETURNING joke_id
+      ),
+      ${notifyAuthorCte('favorite', { source: 'added', actor: '$1' })}
+      SELECT joke_id FROM added`,
+      [req.user.id, generateShareToken(), id]
+    );
+
+    const added = result.rows.length > 0;
+
+    if (added) {
+      logger.debug(`Joke ${id} added to favorites of user: ${req.user.id}`);
+      favoritesAdded.inc();
     }
-  });
-
-  router.get('/users/:id/favorites', async (req, res) => {
-    try {
-      const result = await pool.query(
-        `SELECT j.*, u.username as author_name 
-        FROM favorites f 
-        JOIN jokes j ON f.joke_id = j.id 
-        LEFT JOIN users u ON j.author_id = u.id 
-        WHERE f.user_id = $1 
-        ORDER BY f.created_at DESC`,
-        [req.params.id]
-      );
-      res.json(result.rows);
-    } catch (error) {
-      res.status(400).json({ error: error.message });
+
+    res.status(added ? 201 : 200).json({
+      success: true,
+      data: { joke_id: Number(id), favorited: true }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/jokes/:id/favorite', auth, async (req, res, next) => {
+  try {
+    await pool.query(
+      `DELETE FROM collection_jokes cj
+      USING collections c
+      WHERE c.id = cj.collection_id AND c.user_id = $1 AND c.is_default AND cj.joke_id = $2`,
+      [req.user.id, req.params.id]
+    );
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Shows or hides the caller's favorites from other users.
+router.patch('/visibility', auth, async (req, res, next) => {
+  try {
+    const { is_public: isPublic } = req.body;
+
+    const result = await pool.query(
+      `INSERT INTO collections (user_id, name, is_public, is_default, share_token)
+      VALUES ($1, $2, $3, TRUE, $4)
+      ON CONFLICT (user_id) WHERE is_default
+      DO UPDATE SET is_public = EXCLUDED.is_public, updated_at = NOW()
+      RETURNING is_public`,
+      [req.user.id, DEFAULT_COLLECTION_NAME, isPublic, generateShareToken()]
+    );
+
+    res.json({
+      success: true,
+      data: { is_public: result.rows[0].is_public }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Users always see their own favorites. A user who never favorited anything
+// has no default collection yet and an empty, public list.
+router.get('/users/:id/favorites', optionalAuth, validatePagination, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { page, limit, offset } = req.pagination;
+    const { sort = 'newest' } = req.query;
+
+    if (!FAVORITE_SORTS[sort]) {
+      return next(new ValidationError('Invalid sort',
+        `Sort must be one of: ${Object.keys(FAVORITE_SORTS).join(', ')}`));
+    }
+
+    const owner = await pool.query(
+      `SELECT u.id, c.id as collection_id, c.is_public
+      FROM users u
+      LEFT JOIN collections c ON c.user_id = u.id AND c.is_default
+      WHERE u.id = $1`,
+      [id]
+    );
+
+    if (owner.rows.length === 0) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    const { collection_id: collectionId, is_public: isPublic } = owner.rows[0];
+    const isOwner = req.user !== undefined && String(req.user.id) === String(id);
+
+    if (isPublic === false && !isOwner) {
+      return next(new ForbiddenError('Forbidden', 'This user keeps their favorites private'));
+    }
+
+    if (collectionId === null) {
+      return res.json({
+        success: true,
+        data: paginated([], 0, { page, limit })
+      });
     }
-  });
 
-  module.exports = router;
\ No newline at end of file
+    const [jokes, count] = await Promise.all([
+      pool.query(
+        `SELECT ${JOKE_COLUMNS}, cj.added_at as favorited_at
+        FROM collection_jokes cj
+        JOIN jokes j ON cj.joke_id = j.id
+        LEFT JOIN users u ON j.author_id = u.id
+        WHERE cj.collection_id = $1 AND ${VISIBLE_JOKE}
+        ORDER BY ${FAVORITE_SORTS[sort]}
+        LIMIT $2 OFFSET $3`,
+        [collectionId, limit, offset]
+      ),
+      pool.query(
+        `SELECT COUNT(*) as total
+        FROM collection_jokes cj
+        JOIN jokes j ON cj.joke_id = j.id
+        WHERE cj.collection_id = $1 AND j.deleted_at IS NULL AND j.hidden_at IS NULL`,
+        [collectionId]
+      )
+    ]);
+
+    res.json({
+      success: true,
+      data: paginated(jokes.rows, parseInt(count.rows[0].total, 10), { page, limit })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { validatePagination, paginated } = require('../middleware/pagination');
+const { parseCursor, encodeCursor, isValidCursorKey } = require('../middleware/cursor');
+const { pool } = require('../config/db');
+const { VISIBLE_JOKE, JOKE_COLUMNS, myVoteColumn } = require('../services/jokeQueries');
+const { ValidationError } = require('../errors');
+const router = express.Router();
+
+const logger = require('../config/logger').getLogger('feed');
+
+// The feed is always newest first, so it shares the cursor format of
+// GET /api/jokes?sort=newest.
+const FEED_SORT = 'newest';
+const FEED_KEYSET = { columns: ['j.created_at', 'j.id'], types: ['timestamptz', 'bigint'], direction: 'DESC' };
+
+const FEED_CONDITION = `${VISIBLE_JOKE}
+  AND j.author_id IN (SELECT followee_id FROM follows WHERE follower_id = $1)`;
+
+const countFeed = async (userId) => {
+  const result = await pool.query(
+    `SELECT COUNT(*) as total FROM jokes j WHERE ${FEED_CONDITION}`,
+    [userId]
+  );
+
+  return parseInt(result.rows[0].total, 10);
+};
+
+// Jokes of the authors the caller follows, in the same shape as
+// GET /api/jokes: page mode by default, cursor mode with ?cursor=.
+router.get('/', auth, validatePagination, parseCursor, async (req, res, next) => {
+  try {
+    const { page, limit, offset } = req.pagination;
+    const userId = req.user.id;
+    const cursorMode = req.cursor !== undefined;
+    const { total: totalMode = 'none' } = req.query;
+
+    if (cursorMode && req.cursor.key !== null
+      && (req.cursor.sort !== FEED_SORT || !isValidCursorKey(FEED_KEYSET, req.cursor.key))) {
+      return next(new ValidationError('Invalid cursor',
+        'Use the next_cursor value from the previous page', 'INVALID_CURSOR'));
+    }
+
+    logger.debug(cursorMode
+      ? `Fetching feed of user: ${userId} - cursor: ${req.query.cursor || 'first'}, limit: ${limit}`
+      : `Fetching feed of user: ${userId} - page: ${page}, limit: ${limit}`);
+
+    const orderBy = FEED_KEYSET.columns.map((column) => `${column} ${FEED_KEYSET.direction}`).join(', ');
+
+    if (cursorMode) {
+      const queryParams = [userId];
+      const conditions = [FEED_CONDITION];
+
+      if (req.cursor.key !== null) {
+        queryParams.push(...req.cursor.key);
+        conditions.push(`(${FEED_KEYSET.columns.join(', ')}) < ($2::timestamptz, $3::bigint)`);
+      }
+
+      // One extra row tells whether there is a next page.
+      queryParams.push(limit + 1);
+
+      const result = await pool.query(
+        `SELECT ${JOKE_COLUMNS}
+                ${myVoteColumn(1)},
+                json_build_array(${FEED_KEYSET.columns.join(', ')}) as cursor_key
+         FROM jokes j
+         LEFT JOIN users u ON j.author_id = u.id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY ${orderBy}
+         LIMIT $${queryParams.length}`,
+        queryParams
+      );
+
+      const hasNext = result.rows.length > limit;
+      const rows = result.rows.slice(0, limit);
+      const items = rows.map(({ cursor_key: _cursorKey, ...joke }) => joke);
+      const pagination = {
+        limit,
+        hasNext,
+        next_cursor: hasNext ? encodeCursor(FEED_SORT, rows[rows.length - 1].cursor_key) : null
+      };
+
+      if (totalMode === 'exact') {
+        pagination.total = await countFeed(userId);
+      }
+
+      return res.json({
+        success: true,
+        data: { items, pagination }
+      });
+    }
+
+    const result = await pool.query(
+      `SELECT ${JOKE_COLUMNS}
+              ${myVoteColumn(1)}
+       FROM jokes j
+       LEFT JOIN users u ON j.author_id = u.id
+       WHERE ${FEED_CONDITION}
+       ORDER BY ${orderBy}
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+
+    const total = await countFeed(userId);
+
+    res.json({
+      success: true,
+      data: paginated(result.rows, total, { page, limit })
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const { pool } = require('../config/db');
+const { getStatus, loadMigrations } = require('../migrate');
+const router = express.Router();
+
+const logger = require('../config/logger').getLogger('health');
+
+// pg's "relation does not exist": schema_migrations was never created.
+const UNDEFINED_TABLE = '42P01';
+
+// Files in migrations/ the database has not seen yet.
+const pendingMigrations = async () => {
+  try {
+    return (await getStatus(pool)).pending;
+  } catch (error) {
+    if (error.code === UNDEFINED_TABLE) {
+      return loadMigrations();
+    }
+    throw error;
+  }
+};
+
+router.get('/', async (_, res) => {
+  try {
+    const client = await pool.connect();
+    client.release();
+    res.json({
+      status: 'OK',
+      database: 'connected',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    // The driver's message can name hosts, databases and roles: it is only
+    // logged, never sent.
+    logger.error('Health check failed:', error);
+    res.status(500).json({
+      status: 'ERROR',
+      database: 'disconnected'
+    });
+  }
+});
+
+// Liveness: the process answers. Deliberately checks nothing else, so a
+// database outage does not get every instance restarted.
+router.get('/live', (_, res) => {
+  res.json({ status: 'OK' });
+});
+
+// Readiness: whether to send this instance traffic. Not while shutting
+// down, without a database, or before the migrations this code expects
+// have been applied.
+router.get('/ready', async (req, res) => {
+  if (req.app.locals.shuttingDown) {
+    return res.status(503).json({ status: 'SHUTTING_DOWN' });
+  }
+
+  let pending;
+  try {
+    pending = await pendingMigrations();
+  } catch (error) {
+    logger.warn('Readiness check failed:', error);
+    return res.status(503).json({
+      status: 'ERROR',
+      database: 'disconnected'
+    });
+  }
+
+  const ready = pending.length === 0;
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'OK' : 'ERROR',
+    database: 'connected',
+    pending_migrations: pending.map((migration) => migration.file)
+  });
+});
+
+module.exports = router;
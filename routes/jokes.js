@@ -1,108 +1,290 @@
 const express = require('express');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const authorize = require('../middleware/authorize');
+const { validatePagination, paginated } = require('../middleware/pagination');
+const rateLimit = require('../middleware/rateLimit');
+const { parseCursor, encodeCursor, isValidCursorKey } = require('../middleware/cursor');
 const { pool } = require('../config/db');
+const { VISIBLE_JOKE, tagsColumn, JOKE_COLUMNS, myVoteColumn } = require('../services/jokeQueries');
+const { TRASH_RETENTION_DAYS } = require('../jobs/purgeDeletedJokes');
+const { TRENDING_WINDOWS } = require('../jobs/computeRankings');
+const { MODERATOR_ROLES, isModerator, autoHideIfReported } = require('../services/moderation');
+const { viewerKey, recordView } = require('../services/viewCounter');
+const { notifyAuthorCte } = require('../services/notifications');
+const { jokesCreated } = require('../services/metrics');
+const {
+  BadRequestError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../errors');
 const router = express.Router();
 
-const log4js = require('log4js');
-const logger = log4js.getLogger();
-logger.level = 'debug';
+const createJokeLimiter = rateLimit({ name: 'create-joke', windowMs: 60 * 60 * 1000, max: 20, keyBy: 'user' });
+const voteLimiter = rateLimit({ name: 'vote', windowMs: 60 * 1000, max: 60, keyBy: 'user' });
+const reportLimiter = rateLimit({ name: 'report', windowMs: 60 * 60 * 1000, max: 20, keyBy: 'user' });
 
-const validateJokeCreation = (req, res, next) => {
-  const { body, title, language = 'ru' } = req.body;
-  
-  if (!body || body.trim().length === 0) {
-    return res.status(400).json({
-      success: false,
-      error: 'Missing required field',
-      details: 'Joke text and title are required'
-    });
-  }
+const logger = require('../config/logger').getLogger('jokes');
 
-  if (body.length > 5000) {
-    return res.status(400).json({
-      success: false,
-      error: 'Joke too long',
-      details: 'Joke body must be less than 5000 characters'
-    });
-  }
+// Trims tags and drops case-insensitive duplicates, keeping the first spelling.
+const normalizeTags = (tags) => {
+  const seen = new Set();
 
-  if (title && title.length > 200) {
-    return res.status(400).json({
-      success: false,
-      error: 'Title too long',
-      details: 'Title must be less than 200 characters'
+  return tags
+    .map((tag) => tag.trim())
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
     });
-  }
-
-  next();
 };
 
+// The fields themselves are checked against docs/openapi.yaml; here only
+// that at least one of them is there.
 const validateJokeUpdate = (req, res, next) => {
-  const { body, title } = req.body;
+  const { body, title, tags } = req.body;
   
-  if (!body && !title) {
-    return res.status(400).json({
-      success: false,
-      error: 'No fields to update',
-      details: 'Provide at least one field to update (body or title)'
-    });
-  }
-
-  if (body && body.trim().length === 0) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid body',
-      details: 'Joke body cannot be empty'
-    });
+  if (!body && !title && tags === undefined) {
+    return next(new ValidationError('No fields to update',
+      'Provide at least one field to update (body, title or tags)'));
   }
 
   next();
 };
 
-const validatePagination = (req, _res, next) => {
-  let { page = 1, limit = 10 } = req.query;
-  
-  page = Math.max(1, parseInt(page, 10) || 1);
-  limit = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
-  
-  req.pagination = { page, limit, offset: (page - 1) * limit };
+// Parses ?tag=a,b (or repeated ?tag=) and ?tag_mode=any|all into req.tagFilter.
+const validateTagFilter = (req, res, next) => {
+  const { tag, tag_mode: mode = 'any' } = req.query;
+
+  const tags = [].concat(tag || [])
+    .flatMap((value) => String(value).split(','))
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean);
+
+  req.tagFilter = tags.length > 0 ? { tags: [...new Set(tags)], mode } : null;
   next();
 };
 
-const handleDatabaseError = (error, res) => {
-  logger.error('Database error:', error);
-
-  if (error.code === '23503') {
-    return res.status(400).json({
-      success: false,
-      error: 'Reference error',
-      details: 'Author not found'
-    });
+// Counts the view unless the client opted out with ?track=false, e.g. for
+// link previews and crawlers.
+const trackView = (req, jokeId) => {
+  if (req.query.track === 'false') {
+    return Promise.resolve(false);
   }
 
-  if (error.code === '23505') {
-    return res.status(400).json({
-      success: false,
-      error: 'Duplicate joke',
-      details: 'Similar joke already exists'
-    });
-  }
+  return recordView(jokeId, viewerKey({
+    userId: req.user ? req.user.id : null,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  }));
+};
+
+// Matches jokes having any (or all) of the given lower-cased tag names.
+const tagFilterCondition = ({ mode }, paramIndex) => {
+  const matches = `SELECT COUNT(*) FROM joke_tags jt JOIN tags t ON t.id = jt.tag_id
+    WHERE jt.joke_id = j.id AND LOWER(t.name) = ANY($${paramIndex}::text[])`;
+
+  return mode === 'all'
+    ? `(${matches}) = cardinality($${paramIndex}::text[])`
+    : `(${matches}) > 0`;
+};
+
+// Upserts the given tags and makes them the only tags of the joke whose id
+// is produced by jokeIdSql. Meant to be prepended to a statement with WITH,
+// so the joke row and its tags are written atomically.
+const setTagsCtes = (jokeIdSql, tagsParamIndex) => `
+  new_tags AS (
+    INSERT INTO tags (name)
+    SELECT UNNEST($${tagsParamIndex}::text[])
+    ON CONFLICT (LOWER(name)) DO UPDATE SET name = tags.name
+    RETURNING id, name
+  ),
+  removed_tags AS (
+    DELETE FROM joke_tags
+    WHERE joke_id = (${jokeIdSql})
+      AND tag_id NOT IN (SELECT id FROM new_tags)
+  ),
+  linked_tags AS (
+    INSERT INTO joke_tags (joke_id, tag_id)
+    SELECT (${jokeIdSql}), id FROM new_tags
+    ON CONFLICT DO NOTHING
+  )`;
+
+// Text-search configurations per joke language, mirroring the
+// joke_search_config() SQL function.
+const SEARCH_CONFIGS = { ru: 'russian', en: 'english' };
+
+// Builds a tsquery for the search text in parameter $paramIndex. Without a
+// language filter the query is built for every configuration and OR-ed, so
+// it stays a constant and the GIN index on joke_search_vector() can be used.
+const searchQuery = (language, paramIndex) => {
+  const configs = SEARCH_CONFIGS[language]
+    ? [SEARCH_CONFIGS[language]]
+    : [...Object.values(SEARCH_CONFIGS), 'simple'];
+
+  return `(${configs
+    .map((config) => `websearch_to_tsquery('${config}', $${paramIndex})`)
+    .join(' || ')})`;
+};
+
+const SEARCH_VECTOR = 'joke_search_vector(j.language, j.title, j.body)';
+
+// Highlights are HTML: the stored text is escaped before ts_headline adds
+// <mark>, so markup in a joke is shown as text instead of run.
+const escapeHtml = (expression) => [
+  ['&', '&amp;'], ['<', '&lt;'], ['>', '&gt;'], ['"', '&quot;'], ["''", '&#39;']
+].reduce((sql, [char, entity]) => `replace(${sql}, '${char}', '${entity}')`, expression);
+
+// hot and trending read the scores precomputed by jobs/computeRankings.js.
+// Jokes posted after the last run have no ranking yet and count as 0.
+const RANKED_SORTS = ['hot', 'trending'];
+
+const RANKING_JOIN = 'LEFT JOIN joke_rankings r ON r.joke_id = j.id';
+
+// Ranked sorts are keyed by their column: hot, or trending per window.
+const rankingKey = (sort, window) => (sort === 'trending' ? `trending:${window}` : sort);
+
+const rankingColumn = (key) => `COALESCE(r.${key.replace(':', '_')}, 0)`;
+
+const rankedKeyset = (key) => ({
+  columns: [rankingColumn(key), 'j.id'],
+  types: ['float8', 'bigint'],
+  direction: 'DESC'
+});
+
+// Sorts available in cursor mode. The cursor stores the values of `columns`
+// for the last row; id comes last so no two rows share a key.
+const KEYSET_SORTS = {
+  newest: { columns: ['j.created_at', 'j.id'], types: ['timestamptz', 'bigint'], direction: 'DESC' },
+  oldest: { columns: ['j.created_at', 'j.id'], types: ['timestamptz', 'bigint'], direction: 'ASC' },
+  popular: { columns: ['j.score', 'j.views', 'j.id'], types: ['int', 'bigint', 'bigint'], direction: 'DESC' },
+  hot: rankedKeyset('hot'),
+  ...Object.fromEntries(Object.keys(TRENDING_WINDOWS)
+    .map((window) => [`trending:${window}`, rankedKeyset(`trending:${window}`)]))
+};
+
+const CURSOR_SORTS = ['newest', 'oldest', 'popular', ...RANKED_SORTS];
+
+const countJokes = async (whereClause, params) => {
+  const result = await pool.query(
+    `SELECT COUNT(*) as total FROM jokes j
+     LEFT JOIN users u ON j.author_id = u.id
+     ${whereClause}`,
+    params
+  );
+
+  return parseInt(result.rows[0].total, 10);
+};
+
+const estimateJokes = async (whereClause, params) => {
+  const result = await pool.query(
+    `EXPLAIN (FORMAT JSON) SELECT 1 FROM jokes j
+     LEFT JOIN users u ON j.author_id = u.id
+     ${whereClause}`,
+    params
+  );
 
-  return res.status(500).json({
-    success: false,
-    error: 'Database error',
-    details: 'Please try again later'
-  });
+  return result.rows[0]['QUERY PLAN'][0].Plan['Plan Rows'];
 };
 
-router.get('/', validatePagination, async (req, res) => {
+// Sets (value = 1 / -1) or removes (value = null) the user's vote and
+// recomputes jokes.score from the votes table. The joke row is locked for
+// the duration of the transaction so concurrent votes are serialised.
+// Setting a vote also notifies the author.
+const applyVote = async (jokeId, userId, value) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existingJoke = await client.query(
+      'SELECT id FROM jokes WHERE id = $1 AND deleted_at IS NULL AND hidden_at IS NULL FOR UPDATE',
+      [jokeId]
+    );
+
+    if (existingJoke.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (value === null) {
+      await client.query(
+        'DELETE FROM votes WHERE user_id = $1 AND joke_id = $2',
+        [userId, jokeId]
+      );
+    } else {
+      await client.query(
+        `WITH vote AS (
+           INSERT INTO votes (user_id, joke_id, value)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (user_id, joke_id)
+           DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+           RETURNING joke_id
+         ),
+         ${notifyAuthorCte('vote', { source: 'vote', actor: '$1' })}
+         SELECT joke_id FROM vote`,
+        [userId, jokeId, value]
+      );
+    }
+
+    const result = await client.query(
+      `UPDATE jokes
+       SET score = (SELECT COALESCE(SUM(value), 0) FROM votes WHERE joke_id = $1)
+       WHERE id = $1
+       RETURNING id, score`,
+      [jokeId]
+    );
+
+    await client.query('COMMIT');
+
+    return { ...result.rows[0], my_vote: value };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+router.get('/', optionalAuth, validatePagination, parseCursor, validateTagFilter, async (req, res, next) => {
   try {
     const { page, limit, offset } = req.pagination;
-    const { author, sort = 'newest', language } = req.query;
+    const { author, language } = req.query;
+    const q = req.query.q ? req.query.q.trim() : '';
+    const { sort = q ? 'relevance' : 'newest' } = req.query;
+    const { window = 'day' } = req.query;
+    const cursorMode = req.cursor !== undefined;
+    const { total: totalMode = 'none' } = req.query;
+
+    if (sort === 'trending' && !TRENDING_WINDOWS[window]) {
+      return next(new ValidationError('Invalid window',
+        `Window must be one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}`));
+    }
 
-    logger.debug(`Fetching jokes - page: ${page}, limit: ${limit}, author: ${author}`);
+    const sortKey = RANKED_SORTS.includes(sort) ? rankingKey(sort, window) : sort;
 
-    let whereConditions = [];
+    if (cursorMode && !CURSOR_SORTS.includes(sort)) {
+      return next(new ValidationError('Invalid sort',
+        `Cursor pagination supports sort: ${CURSOR_SORTS.join(', ')}`));
+    }
+
+    if (cursorMode && req.cursor.key !== null
+      && (req.cursor.sort !== sortKey || !isValidCursorKey(KEYSET_SORTS[sortKey], req.cursor.key))) {
+      return next(new ValidationError('Invalid cursor',
+        'The cursor does not match the requested sort', 'INVALID_CURSOR'));
+    }
+
+    logger.debug(cursorMode
+      ? `Fetching jokes - cursor: ${req.query.cursor || 'first'}, limit: ${limit}, author: ${author}`
+      : `Fetching jokes - page: ${page}, limit: ${limit}, author: ${author}`);
+
+    let whereConditions = [VISIBLE_JOKE];
     let queryParams = [];
     let paramCount = 0;
     
@@ -118,11 +300,107 @@ router.get('/', validatePagination, async (req, res) => {
       queryParams.push(language);
     }
 
+    if (req.tagFilter) {
+      paramCount++;
+      whereConditions.push(tagFilterCondition(req.tagFilter, paramCount));
+      queryParams.push(req.tagFilter.tags);
+    }
+
+    let rank = null;
+    let searchColumns = '';
+    if (q) {
+      paramCount++;
+      queryParams.push(q);
+      const tsQuery = searchQuery(language, paramCount);
+      whereConditions.push(`${SEARCH_VECTOR} @@ ${tsQuery}`);
+      rank = `ts_rank(${SEARCH_VECTOR}, ${tsQuery})`;
+      searchColumns = `, ${rank} as rank,
+        ts_headline(joke_search_config(j.language), ${escapeHtml("COALESCE(j.title, '')")}, ${tsQuery},
+                    'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') as title_highlight,
+        ts_headline(joke_search_config(j.language), ${escapeHtml('j.body')}, ${tsQuery},
+                    'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10') as snippet`;
+    }
+
+    const whereParams = [...queryParams];
+    const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
+
+    const rankingJoin = RANKED_SORTS.includes(sort) ? RANKING_JOIN : '';
+
+    if (cursorMode) {
+      const keyset = KEYSET_SORTS[sortKey];
+      const conditions = [...whereConditions];
+
+      if (req.cursor.key !== null) {
+        const placeholders = keyset.types.map((type) => {
+          paramCount++;
+          return `$${paramCount}::${type}`;
+        });
+        queryParams.push(...req.cursor.key);
+        conditions.push(
+          `(${keyset.columns.join(', ')}) ${keyset.direction === 'DESC' ? '<' : '>'} (${placeholders.join(', ')})`
+        );
+      }
+
+      // One extra row tells whether there is a next page.
+      paramCount++;
+      queryParams.push(limit + 1);
+      const limitParam = paramCount;
+
+      let voteColumn = '';
+      if (req.user) {
+        paramCount++;
+        queryParams.push(req.user.id);
+        voteColumn = myVoteColumn(paramCount);
+      }
+
+      const result = await pool.query(
+        `SELECT ${JOKE_COLUMNS}
+                ${voteColumn}
+                ${searchColumns},
+                json_build_array(${keyset.columns.join(', ')}) as cursor_key
+         FROM jokes j
+         LEFT JOIN users u ON j.author_id = u.id
+         ${rankingJoin}
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY ${keyset.columns.map((column) => `${column} ${keyset.direction}`).join(', ')}
+         LIMIT $${limitParam}`,
+        queryParams
+      );
+
+      const hasNext = result.rows.length > limit;
+      const rows = result.rows.slice(0, limit);
+      const items = rows.map(({ cursor_key: _cursorKey, ...joke }) => joke);
+      const pagination = {
+        limit,
+        hasNext,
+        next_cursor: hasNext ? encodeCursor(sortKey, rows[rows.length - 1].cursor_key) : null
+      };
+
+      // The planner's estimate costs nothing but can be off.
+      if (totalMode === 'exact') {
+        pagination.total = await countJokes(whereClause, whereParams);
+      } else if (totalMode === 'estimate') {
+        pagination.estimatedTotal = await estimateJokes(whereClause, whereParams);
+      }
+
+      return res.json({
+        success: true,
+        data: { items, pagination }
+      });
+    }
+
     let orderBy;
     switch (sort) {
+      case 'relevance':
+        orderBy = rank ? `${rank} DESC, j.created_at DESC` : 'j.created_at DESC';
+        break;
       case 'popular':
         orderBy = 'j.score DESC, j.views DESC';
         break;
+      case 'hot':
+      case 'trending':
+        orderBy = `${rankingColumn(sortKey)} DESC, j.id DESC`;
+        break;
       case 'oldest':
         orderBy = 'j.created_at ASC';
         break;
@@ -138,83 +416,78 @@ router.get('/', validatePagination, async (req, res) => {
     paramCount++;
     queryParams.push(offset);
 
-    const whereClause = whereConditions.length > 0 
-      ? `WHERE ${whereConditions.join(' AND ')}` 
-      : '';
+    let voteColumn = '';
+    if (req.user) {
+      paramCount++;
+      queryParams.push(req.user.id);
+      voteColumn = myVoteColumn(paramCount);
+    }
 
     const result = await pool.query(
-      `SELECT j.*, u.username as author_name,
-              (SELECT COUNT(*) FROM favorites WHERE joke_id = j.id) as favorites_count
+      `SELECT ${JOKE_COLUMNS}
+              ${voteColumn}
+              ${searchColumns}
        FROM jokes j 
        LEFT JOIN users u ON j.author_id = u.id 
+       ${rankingJoin}
        ${whereClause}
        ORDER BY ${orderBy} 
-       LIMIT $${paramCount - 1} OFFSET $${paramCount}`,
+       LIMIT $${whereParams.length + 1} OFFSET $${whereParams.length + 2}`,
       queryParams
     );
 
-    const countResult = await pool.query(
-      `SELECT COUNT(*) as total FROM jokes j 
-       LEFT JOIN users u ON j.author_id = u.id 
-       ${whereClause}`,
-      queryParams.slice(0, -2)
-    );
-
-    const total = parseInt(countResult.rows[0].total, 10);
-    const totalPages = Math.ceil(total / limit);
+    const total = await countJokes(whereClause, whereParams);
 
     res.json({
       success: true,
-      data: {
-        items: result.rows,
-        pagination: {
-          page,
-          limit,
-          total,
-          totalPages,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
-      }
+      data: paginated(result.rows, total, { page, limit })
     });
 
   } catch (error) {
-    handleDatabaseError(error, res);
+    next(error);
   }
 });
 
-router.get('/random', async (req, res) => {
+router.get('/random', optionalAuth, validateTagFilter, async (req, res, next) => {
   try {
     const { language } = req.query;
+    let whereConditions = [VISIBLE_JOKE];
+    let queryParams = [];
+    let voteColumn = '';
+
+    if (req.user) {
+      queryParams.push(req.user.id);
+      voteColumn = myVoteColumn(queryParams.length);
+    }
+
+    if (language) {
+      queryParams.push(language);
+      whereConditions.push(`j.language = $${queryParams.length}`);
+    }
+
+    if (req.tagFilter) {
+      queryParams.push(req.tagFilter.tags);
+      whereConditions.push(tagFilterCondition(req.tagFilter, queryParams.length));
+    }
     
     let query = `
-      SELECT j.*, u.username as author_name,
-             (SELECT COUNT(*) FROM favorites WHERE joke_id = j.id) as favorites_count
+      SELECT ${JOKE_COLUMNS}
+             ${voteColumn}
       FROM jokes j 
       LEFT JOIN users u ON j.author_id = u.id 
     `;
-    let queryParams = [];
 
-    if (language) {
-      query += ' WHERE j.language = $1';
-      queryParams.push(language);
-    }
+    query += ` WHERE ${whereConditions.join(' AND ')}`;
 
     query += ' ORDER BY RANDOM() LIMIT 1';
 
     const result = await pool.query(query, queryParams);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'No jokes found'
-      });
+      return next(new NotFoundError('No jokes found'));
     }
 
-    await pool.query(
-      'UPDATE jokes SET views = views + 1 WHERE id = $1',
-      [result.rows[0].id]
-    );
+    await trackView(req, result.rows[0].id);
 
     res.json({
       success: true,
@@ -222,117 +495,318 @@ router.get('/random', async (req, res) => {
     });
 
   } catch (error) {
-    handleDatabaseError(error, res);
+    next(error);
   }
 });
 
-router.get('/:id', async (req, res) => {
+// The joke of the day changes at midnight in this timezone.
+const DAILY_JOKE_TIMEZONE = process.env.DAILY_JOKE_TIMEZONE || 'UTC';
+// A joke is not picked again within this many days.
+const DAILY_JOKE_NO_REPEAT_DAYS = parseInt(process.env.DAILY_JOKE_NO_REPEAT_DAYS, 10) || 365;
+// Jokes with at least this score are picked first.
+const DAILY_JOKE_MIN_SCORE = isNaN(parseInt(process.env.DAILY_JOKE_MIN_SCORE, 10))
+  ? 1
+  : parseInt(process.env.DAILY_JOKE_MIN_SCORE, 10);
+
+// Throws at startup for an unknown timezone.
+const dailyDayFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: DAILY_JOKE_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+// Today's date (YYYY-MM-DD) in DAILY_JOKE_TIMEZONE.
+const currentDailyDay = () => {
+  const parts = Object.fromEntries(dailyDayFormat
+    .formatToParts(new Date())
+    .map(({ type, value }) => [type, value]));
+
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// Picks without a language filter are stored under 'all'.
+const dailyLanguage = (req, res, next) => {
+  req.dailyLanguage = req.query.language || 'all';
+  next();
+};
+
+const findDailyJoke = async (day, dailyLanguage, user) => {
+  const queryParams = [day, dailyLanguage];
+  let voteColumn = '';
+
+  if (user) {
+    queryParams.push(user.id);
+    voteColumn = myVoteColumn(queryParams.length);
+  }
+
+  const result = await pool.query(
+    `SELECT ${JOKE_COLUMNS}
+            ${voteColumn},
+            dj.day::text as day
+     FROM daily_jokes dj
+     JOIN jokes j ON j.id = dj.joke_id
+     LEFT JOIN users u ON j.author_id = u.id
+     WHERE dj.day = $1 AND dj.language = $2 AND ${VISIBLE_JOKE}`,
+    queryParams
+  );
+
+  return result.rows[0] || null;
+};
+
+// Inserts the joke of the day unless another request already picked one.
+// Jokes scoring at least the last parameter come first and a weighted
+// random draw favours higher scores. A pick that was deleted or hidden
+// since is replaced.
+const insertDailyJoke = (condition, order, params) => pool.query(
+  `INSERT INTO daily_jokes (day, language, joke_id)
+   SELECT $1::date, $2::varchar, j.id
+   FROM jokes j
+   WHERE ${VISIBLE_JOKE}
+     AND ($2 = 'all' OR j.language = $2)
+     ${condition}
+   ORDER BY ${order}(j.score >= $${params.length}) DESC,
+            -ln(1 - random()) / (GREATEST(j.score, 0) + 1)
+   LIMIT 1
+   ON CONFLICT (day, language) DO UPDATE SET joke_id = EXCLUDED.joke_id, picked_at = NOW()
+   WHERE NOT EXISTS (
+     SELECT 1 FROM jokes
+     WHERE jokes.id = daily_jokes.joke_id AND jokes.deleted_at IS NULL AND jokes.hidden_at IS NULL
+   )`,
+  params
+);
+
+// Skips jokes shown in the last DAILY_JOKE_NO_REPEAT_DAYS days.
+const pickDailyJoke = (day, dailyLanguage) => insertDailyJoke(
+  `AND NOT EXISTS (
+     SELECT 1 FROM daily_jokes shown
+     WHERE shown.joke_id = j.id AND shown.language = $2
+       AND shown.day > $1::date - $3::int
+   )`,
+  '',
+  [day, dailyLanguage, DAILY_JOKE_NO_REPEAT_DAYS, DAILY_JOKE_MIN_SCORE]
+);
+
+// Once every joke was shown within that window, the one shown longest ago
+// comes back, so a small catalogue still has a joke every day.
+const pickLeastRecentDailyJoke = (day, dailyLanguage) => insertDailyJoke(
+  '',
+  `(SELECT MAX(shown.day) FROM daily_jokes shown
+    WHERE shown.joke_id = j.id AND shown.language = $2) ASC NULLS FIRST,
+   `,
+  [day, dailyLanguage, DAILY_JOKE_MIN_SCORE]
+);
+
+router.get('/daily', optionalAuth, dailyLanguage, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    
-    if (!id || isNaN(parseInt(id, 10))) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid ID',
-        details: 'Please provide a valid joke ID'
-      });
+    const day = currentDailyDay();
+
+    logger.debug(`Fetching joke of the day ${day} for language: ${req.dailyLanguage}`);
+
+    let joke = await findDailyJoke(day, req.dailyLanguage, req.user);
+
+    if (!joke) {
+      const picked = await pickDailyJoke(day, req.dailyLanguage);
+
+      if (picked.rowCount === 0) {
+        await pickLeastRecentDailyJoke(day, req.dailyLanguage);
+      }
+
+      joke = await findDailyJoke(day, req.dailyLanguage, req.user);
     }
 
-    logger.debug(`Fetching joke with ID: ${id}`);
+    if (!joke) {
+      return next(new NotFoundError('No jokes found'));
+    }
+
+    await trackView(req, joke.id);
+
+    res.json({
+      success: true,
+      data: joke
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/daily/history', optionalAuth, dailyLanguage, validatePagination, async (req, res, next) => {
+  try {
+    const { page, limit, offset } = req.pagination;
+    const queryParams = [req.dailyLanguage, currentDailyDay(), limit, offset];
+    let voteColumn = '';
+
+    if (req.user) {
+      queryParams.push(req.user.id);
+      voteColumn = myVoteColumn(queryParams.length);
+    }
 
     const result = await pool.query(
-      `SELECT j.*, u.username as author_name,
-              (SELECT COUNT(*) FROM favorites WHERE joke_id = j.id) as favorites_count
+      `SELECT ${JOKE_COLUMNS}
+              ${voteColumn},
+              dj.day::text as day
+       FROM daily_jokes dj
+       JOIN jokes j ON j.id = dj.joke_id
+       LEFT JOIN users u ON j.author_id = u.id
+       WHERE dj.language = $1 AND dj.day <= $2 AND ${VISIBLE_JOKE}
+       ORDER BY dj.day DESC
+       LIMIT $3 OFFSET $4`,
+      queryParams
+    );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total
+       FROM daily_jokes dj
+       JOIN jokes j ON j.id = dj.joke_id
+       WHERE dj.language = $1 AND dj.day <= $2 AND ${VISIBLE_JOKE}`,
+      queryParams.slice(0, 2)
+    );
+
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    res.json({
+      success: true,
+      data: paginated(result.rows, total, { page, limit })
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/trash', auth, validatePagination, async (req, res, next) => {
+  try {
+    const { page, limit, offset } = req.pagination;
+    const authorId = req.user.id;
+
+    logger.debug(`Fetching trash for user: ${authorId} - page: ${page}, limit: ${limit}`);
+
+    const result = await pool.query(
+      `SELECT ${JOKE_COLUMNS},
+              j.deleted_at + make_interval(days => $2) as purge_at
        FROM jokes j 
        LEFT JOIN users u ON j.author_id = u.id 
-       WHERE j.id = $1`,
-      [id]
+       WHERE j.author_id = $1 AND j.deleted_at IS NOT NULL AND j.deleted_by IS NULL
+       ORDER BY j.deleted_at DESC
+       LIMIT $3 OFFSET $4`,
+      [authorId, TRASH_RETENTION_DAYS, limit, offset]
     );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM jokes
+       WHERE author_id = $1 AND deleted_at IS NOT NULL AND deleted_by IS NULL`,
+      [authorId]
+    );
+
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    res.json({
+      success: true,
+      data: paginated(result.rows, total, { page, limit })
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', optionalAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Joke not found',
-        details: 'The requested joke does not exist'
-      });
+    logger.debug(`Fetching joke with ID: ${id}`);
+
+    const queryParams = [id];
+    let voteColumn = '';
+
+    if (req.user) {
+      queryParams.push(req.user.id);
+      voteColumn = myVoteColumn(queryParams.length);
     }
 
-    await pool.query(
-      'UPDATE jokes SET views = views + 1 WHERE id = $1',
-      [id]
+    const result = await pool.query(
+      `SELECT ${JOKE_COLUMNS}
+              ${voteColumn}
+       FROM jokes j 
+       LEFT JOIN users u ON j.author_id = u.id 
+       WHERE j.id = $1 AND j.deleted_at IS NULL`,
+      queryParams
     );
 
+    // A hidden joke is still shown to its author and to moderators.
+    const hiddenFromViewer = result.rows.length > 0
+      && result.rows[0].hidden_at
+      && !isModerator(req.user)
+      && !(req.user && result.rows[0].author_id === req.user.id);
+    
+    if (result.rows.length === 0 || hiddenFromViewer) {
+      return next(new NotFoundError('Joke not found', 'The requested joke does not exist'));
+    }
+
+    await trackView(req, result.rows[0].id);
+
     res.json({
       success: true,
       data: result.rows[0]
     });
 
   } catch (error) {
-    handleDatabaseError(error, res);
+    next(error);
   }
 });
 
-router.post('/', auth, validateJokeCreation, async (req, res) => {
+router.post('/', auth, requireVerifiedEmail, createJokeLimiter, async (req, res, next) => {
   try {
-    const { body, title, language = 'ru' } = req.body;
+    const { body, title, language = 'ru', tags = [] } = req.body;
     const authorId = req.user.id;
 
     logger.debug(`Creating joke for user: ${authorId}`);
 
     const result = await pool.query(
-      `INSERT INTO jokes (author_id, title, body, language) 
-       VALUES ($1, $2, $3, $4) 
-       RETURNING id, title, body, language, created_at`,
-      [authorId, title, body, language]
+      `WITH new_joke AS (
+         INSERT INTO jokes (author_id, title, body, language) 
+         VALUES ($1, $2, $3, $4) 
+         RETURNING id, title, body, language, created_at
+       ),
+       ${setTagsCtes('SELECT id FROM new_joke', 5)}
+       SELECT new_joke.*, ARRAY(SELECT name FROM new_tags ORDER BY name) as tags
+       FROM new_joke`,
+      [authorId, title, body, language, normalizeTags(tags)]
     );
 
     logger.debug(`Joke created successfully with ID: ${result.rows[0].id}`);
+    jokesCreated.inc();
 
     res.status(201).json({
       success: true,
-      message: 'Joke created successfully',
       data: result.rows[0]
     });
 
   } catch (error) {
-    handleDatabaseError(error, res);
+    next(error);
   }
 });
 
-router.patch('/:id', auth, validateJokeUpdate, async (req, res) => {
+router.patch('/:id', auth, validateJokeUpdate, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { body, title } = req.body;
+    const { body, title, tags } = req.body;
     const authorId = req.user.id;
 
-    if (!id || isNaN(parseInt(id, 10))) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid ID',
-        details: 'Please provide a valid joke ID'
-      });
-    }
-
     logger.debug(`Updating joke ID: ${id} by user: ${authorId}`);
 
     const existingJoke = await pool.query(
-      'SELECT author_id FROM jokes WHERE id = $1',
+      'SELECT author_id FROM jokes WHERE id = $1 AND deleted_at IS NULL',
       [id]
     );
 
     if (existingJoke.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Joke not found'
-      });
+      return next(new NotFoundError('Joke not found'));
     }
 
-    if (existingJoke.rows[0].author_id !== authorId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Forbidden',
-        details: 'You can only update your own jokes'
-      });
+    if (existingJoke.rows[0].author_id !== authorId && !isModerator(req.user)) {
+      return next(new ForbiddenError('Forbidden', 'You can only update your own jokes'));
     }
 
     const updateFields = [];
@@ -355,12 +829,24 @@ router.patch('/:id', auth, validateJokeUpdate, async (req, res) => {
 
     paramCount++;
     queryParams.push(id);
+    const idParam = paramCount;
+
+    let tagsCtes = '';
+    let tagsReturning = tagsColumn('jokes');
+
+    if (tags !== undefined) {
+      paramCount++;
+      queryParams.push(normalizeTags(tags));
+      tagsCtes = `WITH ${setTagsCtes(`$${idParam}::bigint`, paramCount)}`;
+      tagsReturning = 'ARRAY(SELECT name FROM new_tags ORDER BY name)';
+    }
 
     const sql = `
+      ${tagsCtes}
       UPDATE jokes 
       SET ${updateFields.join(', ')} 
-      WHERE id = $${paramCount} 
-      RETURNING id, title, body, language, updated_at
+      WHERE id = $${idParam} 
+      RETURNING id, title, body, language, updated_at, ${tagsReturning} as tags
     `;
 
     const result = await pool.query(sql, queryParams);
@@ -369,61 +855,227 @@ router.patch('/:id', auth, validateJokeUpdate, async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Joke updated successfully',
       data: result.rows[0]
     });
 
   } catch (error) {
-    handleDatabaseError(error, res);
+    next(error);
   }
 });
 
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, async (req, res, next) => {
   try {
     const { id } = req.params;
     const authorId = req.user.id;
 
-    if (!id || isNaN(parseInt(id, 10))) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid ID',
-        details: 'Please provide a valid joke ID'
-      });
-    }
-
     logger.debug(`Deleting joke ID: ${id} by user: ${authorId}`);
 
     const existingJoke = await pool.query(
-      'SELECT author_id FROM jokes WHERE id = $1',
+      'SELECT author_id FROM jokes WHERE id = $1 AND deleted_at IS NULL',
       [id]
     );
 
     if (existingJoke.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Joke not found'
-      });
+      return next(new NotFoundError('Joke not found'));
     }
 
     if (existingJoke.rows[0].author_id !== authorId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Forbidden',
-        details: 'You can only delete your own jokes'
-      });
+      return next(new ForbiddenError('Forbidden', 'You can only delete your own jokes'));
     }
 
     await pool.query(
-      'DELETE FROM jokes WHERE id = $1',
+      'UPDATE jokes SET deleted_at = NOW() WHERE id = $1',
       [id]
     );
 
-    logger.debug(`Joke deleted successfully: ${id}`);
+    logger.debug(`Joke moved to trash: ${id}`);
 
     res.status(204).send();
 
   } catch (error) {
-    handleDatabaseError(error, res);
+    next(error);
+  }
+});
+
+router.post('/:id/restore', auth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const authorId = req.user.id;
+
+    logger.debug(`Restoring joke ID: ${id} by user: ${authorId}`);
+
+    const existingJoke = await pool.query(
+      'SELECT author_id, deleted_at, deleted_by FROM jokes WHERE id = $1',
+      [id]
+    );
+
+    if (existingJoke.rows.length === 0) {
+      return next(new NotFoundError('Joke not found'));
+    }
+
+    if (existingJoke.rows[0].author_id !== authorId) {
+      return next(new ForbiddenError('Forbidden', 'You can only restore your own jokes'));
+    }
+
+    if (existingJoke.rows[0].deleted_at === null) {
+      return next(new BadRequestError('Joke not deleted', 'Only jokes in the trash can be restored'));
+    }
+
+    if (existingJoke.rows[0].deleted_by !== null) {
+      return next(new ForbiddenError('Forbidden',
+        'Jokes deleted by a moderator cannot be restored', 'DELETED_BY_MODERATOR'));
+    }
+
+    const result = await pool.query(
+      `UPDATE jokes SET deleted_at = NULL
+       WHERE id = $1 AND deleted_by IS NULL
+       RETURNING id, title, body, language, created_at, updated_at`,
+      [id]
+    );
+
+    logger.debug(`Joke restored successfully: ${id}`);
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Hides (hidden = true) or unhides a joke on behalf of a moderator.
+const setHidden = (hidden) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason = null } = req.body || {};
+
+    logger.debug(`${hidden ? 'Hiding' : 'Unhiding'} joke ID: ${id} by moderator: ${req.user.id}`);
+
+    const update = hidden
+      ? 'SET hidden_at = NOW(), hidden_by = $2, hide_reason = $3'
+      : 'SET hidden_at = NULL, hidden_by = NULL, hide_reason = NULL';
+
+    const result = await pool.query(
+      `WITH updated AS (
+         UPDATE jokes ${update}
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING id, hidden_at, hidden_by, hide_reason
+       ),
+       logged AS (
+         INSERT INTO moderation_actions (joke_id, moderator_id, action, note)
+         SELECT id, $2, $4, $3 FROM updated
+       )
+       SELECT * FROM updated`,
+      [id, req.user.id, reason, hidden ? 'hide' : 'unhide']
+    );
+
+    if (result.rows.length === 0) {
+      return next(new NotFoundError('Joke not found'));
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.post('/:id/hide', auth, authorize(...MODERATOR_ROLES), setHidden(true));
+
+router.post('/:id/unhide', auth, authorize(...MODERATOR_ROLES), setHidden(false));
+
+router.post('/:id/report', auth, reportLimiter, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason, comment = null } = req.body;
+
+    logger.debug(`Reporting joke ID: ${id} as ${reason} by user: ${req.user.id}`);
+
+    const existingJoke = await pool.query(
+      'SELECT author_id FROM jokes WHERE id = $1 AND deleted_at IS NULL AND hidden_at IS NULL',
+      [id]
+    );
+
+    if (existingJoke.rows.length === 0) {
+      return next(new NotFoundError('Joke not found'));
+    }
+
+    if (existingJoke.rows[0].author_id === req.user.id) {
+      return next(new BadRequestError('Invalid report', 'You cannot report your own joke'));
+    }
+
+    const result = await pool.query(
+      `INSERT INTO reports (joke_id, reporter_id, reason, comment)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (joke_id, reporter_id) WHERE status = 'open' DO NOTHING
+       RETURNING id, joke_id, reason, comment, status, created_at`,
+      [id, req.user.id, reason, comment]
+    );
+
+    if (result.rows.length === 0) {
+      return next(new ConflictError('Already reported',
+        'You have already reported this joke', 'ALREADY_REPORTED'));
+    }
+
+    await autoHideIfReported(id);
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/vote', auth, voteLimiter, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { value } = req.body;
+
+    logger.debug(`Voting ${value} on joke ID: ${id} by user: ${req.user.id}`);
+
+    const vote = await applyVote(id, req.user.id, value);
+
+    if (!vote) {
+      return next(new NotFoundError('Joke not found'));
+    }
+
+    res.json({
+      success: true,
+      data: vote
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id/vote', auth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.debug(`Removing vote on joke ID: ${id} by user: ${req.user.id}`);
+
+    const vote = await applyVote(id, req.user.id, null);
+
+    if (!vote) {
+      return next(new NotFoundError('Joke not found'));
+    }
+
+    res.json({
+      success: true,
+      data: vote
+    });
+
+  } catch (error) {
+    next(error);
   }
 });
 
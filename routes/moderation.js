@@ -0,0 +1,138 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { validatePagination, paginated } = require('../middleware/pagination');
+const { pool } = require('../config/db');
+const { resolveReports } = require('../services/moderation');
+const { NotFoundError } = require('../errors');
+const router = express.Router();
+
+const logger = require('../config/logger').getLogger('moderation');
+
+const QUEUE_ACTIONS = ['dismiss', 'hide', 'delete'];
+
+router.use(auth, authorize('moderator', 'admin'));
+
+// Open reports grouped by joke, the most reported jokes first.
+router.get('/reports', validatePagination, async (req, res, next) => {
+  try {
+    const { page, limit, offset } = req.pagination;
+    const { reason } = req.query;
+
+    logger.debug(`Fetching moderation queue - page: ${page}, limit: ${limit}, reason: ${reason}`);
+
+    const queryParams = [];
+    let reasonCondition = '';
+
+    if (reason) {
+      queryParams.push(reason);
+      reasonCondition = `AND r.joke_id IN (
+        SELECT joke_id FROM reports WHERE status = 'open' AND reason = $1
+      )`;
+    }
+
+    const result = await pool.query(
+      `SELECT j.id as joke_id, j.title, j.body, j.author_id, u.username as author_name,
+              j.hidden_at, j.hide_reason,
+              COUNT(DISTINCT r.reporter_id)::int as reports_count,
+              MIN(r.created_at) as first_reported_at,
+              MAX(r.created_at) as last_reported_at,
+              json_agg(json_build_object(
+                'id', r.id,
+                'reason', r.reason,
+                'comment', r.comment,
+                'reporter_id', r.reporter_id,
+                'created_at', r.created_at
+              ) ORDER BY r.created_at) as reports
+       FROM reports r
+       JOIN jokes j ON j.id = r.joke_id
+       LEFT JOIN users u ON j.author_id = u.id
+       WHERE r.status = 'open' ${reasonCondition}
+       GROUP BY j.id, u.username
+       ORDER BY reports_count DESC, first_reported_at ASC
+       LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(DISTINCT r.joke_id) as total
+       FROM reports r
+       WHERE r.status = 'open' ${reasonCondition}`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: paginated(result.rows, parseInt(countResult.rows[0].total, 10), req.pagination)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/jokes/:id/:action', async (req, res, next) => {
+  try {
+    const { id, action } = req.params;
+    const { note = null } = req.body || {};
+
+    if (!QUEUE_ACTIONS.includes(action)) {
+      return next(new NotFoundError('Unknown action', `Action must be one of: ${QUEUE_ACTIONS.join(', ')}`));
+    }
+
+    logger.debug(`Moderator ${req.user.id} applies ${action} to joke ${id}`);
+
+    const recorded = await resolveReports(id, req.user.id, action, note);
+
+    if (!recorded) {
+      return next(new NotFoundError('Joke not found'));
+    }
+
+    res.json({
+      success: true,
+      data: recorded
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Audit log of moderation decisions, newest first.
+router.get('/actions', validatePagination, async (req, res, next) => {
+  try {
+    const { limit, offset } = req.pagination;
+    const queryParams = [];
+    let jokeCondition = '';
+
+    if (req.query.joke_id !== undefined) {
+      queryParams.push(req.query.joke_id);
+      jokeCondition = 'WHERE ma.joke_id = $1';
+    }
+
+    const result = await pool.query(
+      `SELECT ma.*, u.username as moderator_name
+       FROM moderation_actions ma
+       LEFT JOIN users u ON ma.moderator_id = u.id
+       ${jokeCondition}
+       ORDER BY ma.created_at DESC
+       LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM moderation_actions ma ${jokeCondition}`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: paginated(result.rows, parseInt(countResult.rows[0].total, 10), req.pagination)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { validatePagination, paginated } = require('../middleware/pagination');
+const { pool } = require('../config/db');
+const { notificationMessage } = require('../services/notifications');
+const { NotFoundError } = require('../errors');
+const router = express.Router();
+
+const logger = require('../config/logger').getLogger('notifications');
+
+// Notifications are shown in groups: one per type and joke, with read and
+// unread notifications kept apart. A group is identified by its most recent
+// notification. Notifications about deleted jokes are left out.
+const GROUPS_CTE = `groups AS (
+  SELECT MAX(n.id) as id, n.type, n.joke_id, n.read_at IS NOT NULL as read,
+         COUNT(*)::int as events_count,
+         COUNT(DISTINCT n.actor_id)::int as actors_count,
+         MAX(n.created_at) as latest_at
+  FROM notifications n
+  JOIN jokes j ON j.id = n.joke_id
+  WHERE n.user_id = $1 AND j.deleted_at IS NULL
+  GROUP BY n.type, n.joke_id, n.read_at IS NOT NULL
+)`;
+
+// The three users who acted most recently in a group.
+const RECENT_ACTORS_JOIN = `CROSS JOIN LATERAL (
+  SELECT COALESCE(json_agg(json_build_object(
+           'id', a.id, 'username', a.username, 'display_name', a.display_name
+         ) ORDER BY a.acted_at DESC), '[]') as actors
+  FROM (
+    SELECT u.id, u.username, u.display_name, MAX(n.created_at) as acted_at
+    FROM notifications n
+    JOIN users u ON u.id = n.actor_id
+    WHERE n.user_id = $1 AND n.type = g.type AND n.joke_id = g.joke_id
+      AND (n.read_at IS NOT NULL) = g.read
+    GROUP BY u.id
+    ORDER BY acted_at DESC
+    LIMIT 3
+  ) a
+) recent`;
+
+const countUnread = async (userId) => {
+  const result = await pool.query(
+    `SELECT COUNT(*) as unread
+     FROM (
+       SELECT DISTINCT n.type, n.joke_id
+       FROM notifications n
+       JOIN jokes j ON j.id = n.joke_id
+       WHERE n.user_id = $1 AND n.read_at IS NULL AND j.deleted_at IS NULL
+     ) unread_groups`,
+    [userId]
+  );
+
+  return parseInt(result.rows[0].unread, 10);
+};
+
+router.use(auth);
+
+// Newest groups first. unread_count is the number of unread groups, whatever
+// the filter.
+router.get('/', validatePagination, async (req, res, next) => {
+  try {
+    const { page, limit, offset } = req.pagination;
+    const { unread } = req.query;
+
+    const condition = unread === 'true' ? 'NOT g.read' : 'TRUE';
+
+    logger.debug(`Fetching notifications of user: ${req.user.id} - page: ${page}, limit: ${limit}`);
+
+    const [groups, count] = await Promise.all([
+      pool.query(
+        `WITH ${GROUPS_CTE}
+         SELECT g.id, g.type, g.read, g.events_count, g.actors_count, g.latest_at,
+                json_build_object('id', j.id, 'title', j.title) as joke,
+                recent.actors
+         FROM groups g
+         JOIN jokes j ON j.id = g.joke_id
+         ${RECENT_ACTORS_JOIN}
+         WHERE ${condition}
+         ORDER BY g.latest_at DESC, g.id DESC
+         LIMIT $2 OFFSET $3`,
+        [req.user.id, limit, offset]
+      ),
+      pool.query(
+        `WITH ${GROUPS_CTE}
+         SELECT COUNT(*) FILTER (WHERE ${condition}) as total,
+                COUNT(*) FILTER (WHERE NOT g.read) as unread
+         FROM groups g`,
+        [req.user.id]
+      )
+    ]);
+
+    const items = groups.rows.map((group) => ({ ...group, message: notificationMessage(group) }));
+
+    res.json({
+      success: true,
+      data: {
+        ...paginated(items, parseInt(count.rows[0].total, 10), { page, limit }),
+        unread_count: parseInt(count.rows[0].unread, 10)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/unread-count', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: { unread_count: await countUnread(req.user.id) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/read-all', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    logger.debug(`Marked ${result.rowCount} notifications as read for user: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: { marked: result.rowCount, unread_count: 0 }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Marks the whole group the notification belongs to as read, so any group
+// id from GET / works.
+router.post('/:id/read', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `WITH target AS (
+         SELECT type, joke_id FROM notifications WHERE id = $1 AND user_id = $2
+       ),
+       marked AS (
+         UPDATE notifications n
+         SET read_at = NOW()
+         FROM target t
+         WHERE n.user_id = $2 AND n.type = t.type AND n.joke_id = t.joke_id AND n.read_at IS NULL
+         RETURNING n.id
+       )
+       SELECT (SELECT COUNT(*) FROM target)::int as found,
+              (SELECT COUNT(*) FROM marked)::int as marked`,
+      [id, req.user.id]
+    );
+
+    if (result.rows[0].found === 0) {
+      return next(new NotFoundError('Notification not found'));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        marked: result.rows[0].marked,
+        unread_count: await countUnread(req.user.id)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
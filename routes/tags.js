@@ -0,0 +1,46 @@
+const express = require('express');
+const { pool } = require('../config/db');
+const router = express.Router();
+
+const logger = require('../config/logger').getLogger('tags');
+
+router.get('/', async (req, res, next) => {
+  try {
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const { language } = req.query;
+
+    logger.debug(`Fetching tags - limit: ${limit}, language: ${language}`);
+
+    const queryParams = [limit];
+    let languageCondition = '';
+
+    if (language) {
+      queryParams.push(language);
+      languageCondition = 'AND j.language = $2';
+    }
+
+    const result = await pool.query(
+      `SELECT t.name, COUNT(*)::int as jokes_count
+       FROM tags t
+       JOIN joke_tags jt ON jt.tag_id = t.id
+       JOIN jokes j ON j.id = jt.joke_id
+       WHERE j.deleted_at IS NULL AND j.hidden_at IS NULL ${languageCondition}
+       GROUP BY t.id, t.name
+       ORDER BY jokes_count DESC, t.name ASC
+       LIMIT $1`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        items: result.rows
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { validatePagination, paginated } = require('../middleware/pagination');
+const rateLimit = require('../middleware/rateLimit');
+const { pool } = require('../config/db');
+const { VISIBLE_JOKE, JOKE_COLUMNS } = require('../services/jokeQueries');
+const { BadRequestError, ValidationError, NotFoundError } = require('../errors');
+const router = express.Router();
+
+const followLimiter = rateLimit({ name: 'follow', windowMs: 60 * 60 * 1000, max: 100, keyBy: 'user' });
+
+const logger = require('../config/logger').getLogger('users');
+
+const PROFILE_SORTS = {
+  newest: 'j.created_at DESC, j.id DESC',
+  oldest: 'j.created_at ASC, j.id ASC',
+  popular: 'j.score DESC, j.views DESC, j.id DESC'
+};
+
+// What other users see. Stats only count visible jokes and users who are
+// not banned, so they match the lists below.
+const PROFILE_COLUMNS = `u.id, u.username, u.display_name, u.bio, u.avatar_url,
+  u.created_at,
+  stats.jokes_count, stats.total_score,
+  (SELECT COUNT(*) FROM favorites f JOIN jokes j ON j.id = f.joke_id
+   WHERE j.author_id = u.id AND ${VISIBLE_JOKE})::int as favorites_received,
+  (SELECT COUNT(*) FROM follows f JOIN users fu ON fu.id = f.follower_id
+   WHERE f.followee_id = u.id AND fu.banned_at IS NULL)::int as followers_count,
+  (SELECT COUNT(*) FROM follows f JOIN users fu ON fu.id = f.followee_id
+   WHERE f.follower_id = u.id AND fu.banned_at IS NULL)::int as following_count`;
+
+const STATS_JOIN = `CROSS JOIN LATERAL (
+  SELECT COUNT(*)::int as jokes_count, COALESCE(SUM(j.score), 0)::int as total_score
+  FROM jokes j WHERE j.author_id = u.id AND ${VISIBLE_JOKE}
+) stats`;
+
+// Resolves to the id of a user who is not banned, or throws NotFoundError.
+const findUserId = async (req) => {
+  const user = await pool.query(
+    'SELECT id FROM users WHERE username = $1 AND banned_at IS NULL',
+    [req.params.username]
+  );
+
+  if (user.rows.length === 0) {
+    throw new NotFoundError('User not found');
+  }
+
+  return user.rows[0].id;
+};
+
+// The fields are checked against docs/openapi.yaml: bio and avatar_url may
+// be null to clear them, display_name can only be changed, not removed.
+const validateProfileUpdate = (req, res, next) => {
+  const { display_name: displayName, bio, avatar_url: avatarUrl } = req.body;
+
+  if (displayName === undefined && bio === undefined && avatarUrl === undefined) {
+    return next(new ValidationError('Nothing to update', 'Provide display_name, bio or avatar_url'));
+  }
+
+  next();
+};
+
+router.patch('/me', auth, validateProfileUpdate, async (req, res, next) => {
+  try {
+    const { display_name: displayName, bio, avatar_url: avatarUrl } = req.body;
+
+    logger.debug(`Updating profile of user: ${req.user.id}`);
+
+    const updateFields = [];
+    const queryParams = [];
+
+    if (displayName !== undefined) {
+      queryParams.push(displayName.trim());
+      updateFields.push(`display_name = $${queryParams.length}`);
+    }
+
+    if (bio !== undefined) {
+      queryParams.push(bio === null || bio.trim() === '' ? null : bio.trim());
+      updateFields.push(`bio = $${queryParams.length}`);
+    }
+
+    if (avatarUrl !== undefined) {
+      queryParams.push(avatarUrl);
+      updateFields.push(`avatar_url = $${queryParams.length}`);
+    }
+
+    queryParams.push(req.user.id);
+
+    const result = await pool.query(
+      `UPDATE users
+       SET ${updateFields.join(', ')}
+       WHERE id = $${queryParams.length}
+       RETURNING id, username, display_name, bio, avatar_url`,
+      queryParams
+    );
+
+    if (result.rows.length === 0) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Banned users have no public profile.
+router.get('/:username', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${PROFILE_COLUMNS}
+       FROM users u
+       ${STATS_JOIN}
+       WHERE u.username = $1 AND u.banned_at IS NULL`,
+      [req.params.username]
+    );
+
+    if (result.rows.length === 0) {
+      return next(new NotFoundError('User not found'));
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:username/jokes', validatePagination, async (req, res, next) => {
+  try {
+    const { page, limit, offset } = req.pagination;
+    const { sort = 'newest' } = req.query;
+
+    if (!PROFILE_SORTS[sort]) {
+      return next(new ValidationError('Invalid sort',
+        `Sort must be one of: ${Object.keys(PROFILE_SORTS).join(', ')}`));
+    }
+
+    const authorId = await findUserId(req);
+
+    const [jokes, count] = await Promise.all([
+      pool.query(
+        `SELECT ${JOKE_COLUMNS}
+         FROM jokes j
+         JOIN users u ON j.author_id = u.id
+         WHERE j.author_id = $1 AND ${VISIBLE_JOKE}
+         ORDER BY ${PROFILE_SORTS[sort]}
+         LIMIT $2 OFFSET $3`,
+        [authorId, limit, offset]
+      ),
+      pool.query(
+        `SELECT COUNT(*) as total FROM jokes j WHERE j.author_id = $1 AND ${VISIBLE_JOKE}`,
+        [authorId]
+      )
+    ]);
+
+    res.json({
+      success: true,
+      data: paginated(jokes.rows, parseInt(count.rows[0].total, 10), { page, limit })
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Following twice is not an error: the answer is 200 instead of 201.
+router.post('/:username/follow', auth, followLimiter, async (req, res, next) => {
+  try {
+    const followeeId = await findUserId(req);
+
+    if (String(followeeId) === String(req.user.id)) {
+      return next(new BadRequestError('Invalid target', 'You cannot follow yourself'));
+    }
+
+    const result = await pool.query(
+      `INSERT INTO follows (follower_id, followee_id)
+       VALUES ($1, $2)
+       ON CONFLICT (follower_id, followee_id) DO NOTHING
+       RETURNING created_at`,
+      [req.user.id, followeeId]
+    );
+
+    const created = result.rows.length > 0;
+
+    if (created) {
+      logger.debug(`User ${req.user.id} now follows user ${followeeId}`);
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: { username: req.params.username, following: true }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:username/follow', auth, async (req, res, next) => {
+  try {
+    const followeeId = await findUserId(req);
+
+    await pool.query(
+      'DELETE FROM follows WHERE follower_id = $1 AND followee_id = $2',
+      [req.user.id, followeeId]
+    );
+
+    res.status(204).send();
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Followers or followed users of a user, the most recent follows first.
+// Banned users are left out of both lists.
+const followList = (userColumn, otherColumn) => async (req, res, next) => {
+  try {
+    const { page, limit, offset } = req.pagination;
+
+    const userId = await findUserId(req);
+
+    const [users, count] = await Promise.all([
+      pool.query(
+        `SELECT u.id, u.username, u.display_name, u.avatar_url, f.created_at as followed_at
+         FROM follows f
+         JOIN users u ON u.id = f.${otherColumn}
+         WHERE f.${userColumn} = $1 AND u.banned_at IS NULL
+         ORDER BY f.created_at DESC, u.id DESC
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      ),
+      pool.query(
+        `SELECT COUNT(*) as total
+         FROM follows f
+         JOIN users u ON u.id = f.${otherColumn}
+         WHERE f.${userColumn} = $1 AND u.banned_at IS NULL`,
+        [userId]
+      )
+    ]);
+
+    res.json({
+      success: true,
+      data: paginated(users.rows, parseInt(count.rows[0].total, 10), { page, limit })
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.get('/:username/followers', validatePagination, followList('followee_id', 'follower_id'));
+
+router.get('/:username/following', validatePagination, followList('follower_id', 'followee_id'));
+
+module.exports = router;
@@ -1,55 +1,131 @@
 require('dotenv').config();
-const express = require('express');
-const log4js = require('log4js');
-const swaggerUi = require('swagger-ui-express');
-const YAML = require('yamljs');
-
-const app = express();
-const logger = log4js.getLogger();
-logger.level = 'debug';
-
-app.use(express.json());
-
-const authRoutes = require('./routes/auth');
-const jokesRoutes = require('./routes/jokes');
-const favoritesRoutes = require('./routes/favorites');
-
-app.use('/api/auth', authRoutes);
-app.use('/api/jokes', jokesRoutes);
-app.use('/api/favorites', favoritesRoutes);
-
-// Swagger UI (OpenAPI)
-try {
-  const swaggerDocument = YAML.load('./docs/openapi.yaml');
-  app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
-} catch (err) {
-  logger.warn('Could not load Swagger docs:', err.message);
-}
+const { createApp } = require('./app');
+const { pool } = require('./config/db');
+const { purgeDeletedJokes } = require('./jobs/purgeDeletedJokes');
+const { computeRankings, RANKINGS_REFRESH_MINUTES } = require('./jobs/computeRankings');
+const { flushViews, pruneViewers, VIEW_FLUSH_INTERVAL_SECONDS } = require('./services/viewCounter');
+const { getStore: getRateLimitStore } = require('./services/rateLimit');
+const { getTransport: getMailTransport } = require('./services/mailer');
+
+const logger = require('./config/logger').getLogger('server');
+
+const PORT = process.env.PORT || 3000;
+// How long in-flight requests get to finish after SIGTERM before their
+// connections are cut.
+const SHUTDOWN_TIMEOUT_SECONDS = parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS, 10) || 30;
+
+// Starts the background jobs and returns their timers.
+const startJobs = () => {
+  // Purge jokes whose trash retention period is over once an hour.
+  const purging = setInterval(() => {
+    purgeDeletedJokes().catch((error) => logger.error('Purging deleted jokes failed:', error));
+  }, 60 * 60 * 1000);
+
+  // Write buffered joke views in batches.
+  const flushing = setInterval(() => {
+    flushViews().catch((error) => logger.error('Flushing views failed:', error));
+  }, VIEW_FLUSH_INTERVAL_SECONDS * 1000);
+
+  // Precompute hot and trending rankings, right away and then on a schedule.
+  const refreshRankings = () => {
+    computeRankings().catch((error) => logger.error('Computing rankings failed:', error));
+  };
+  refreshRankings();
+  const ranking = setInterval(refreshRankings, RANKINGS_REFRESH_MINUTES * 60 * 1000);
+
+  // Drop expired rate limit windows and view dedup entries.
+  const pruning = setInterval(() => {
+    getRateLimitStore().prune().catch((error) => logger.error('Pruning rate limits failed:', error));
+    pruneViewers().catch((error) => logger.error('Pruning viewers failed:', error));
+  }, 60 * 60 * 1000);
+
+  const timers = [purging, flushing, ranking, pruning];
+  timers.forEach((timer) => timer.unref());
+  return timers;
+};
+
+// Listens on `port` and runs the background jobs. `shutdown()` stops
+// taking new connections, lets in-flight requests finish (cutting them
+// off after `shutdownTimeout` seconds), writes buffered views and closes
+// the pool. Calling it again returns the same promise.
+const start = ({
+  app = createApp(),
+  port = PORT,
+  shutdownTimeout = SHUTDOWN_TIMEOUT_SECONDS
+} = {}) => {
+  // A missing or unknown MAIL_TRANSPORT fails here, not at the first signup.
+  getMailTransport();
+
+  const server = app.listen(port, () => {
+    logger.info(`Server running on port ${server.address().port}`);
+  });
+  const timers = startJobs();
+  let closing = null;
+
+  // Responses not sent yet, so draining can ask for their connections to
+  // be closed instead of kept alive.
+  const inFlight = new Set();
+  server.on('request', (req, res) => {
+    inFlight.add(res);
+    res.on('close', () => inFlight.delete(res));
+  });
 
-app.get('/health', async (_, res) => {
-  const { pool } = require('./config/db');
-  
-  try {
-    const client = await pool.connect();
-    client.release();
-    res.json({ 
-      status: 'OK', 
-      database: 'connected',
-      timestamp: new Date().toISOString() 
+  const drain = async (reason) => {
+    logger.info(`${reason} received, draining in-flight requests`);
+
+    // /health/ready answers 503 from now on.
+    app.locals.shuttingDown = true;
+    timers.forEach((timer) => clearInterval(timer));
+
+    const forceClose = setTimeout(() => {
+      logger.warn(`Requests still running after ${shutdownTimeout}s, closing their connections`);
+      server.closeAllConnections();
+    }, shutdownTimeout * 1000);
+    forceClose.unref();
+
+    // Keep-alive connections would otherwise hold server.close() up until
+    // they time out: idle ones are closed now, busy ones once answered.
+    inFlight.forEach((res) => {
+      if (!res.headersSent) {
+        res.setHeader('Connection', 'close');
+      }
     });
-  } catch (error) {
-    logger.error('Health check failed:', error);
-    res.status(500).json({ 
-      status: 'ERROR', 
-      database: 'disconnected',
-      error: error.message 
+    await new Promise((resolve) => {
+      server.close(resolve);
+      server.closeIdleConnections();
     });
-  }
-});
+    clearTimeout(forceClose);
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  logger.info(`Server running on port ${PORT}`);
-});
+    await flushViews().catch((error) => logger.error('Flushing views failed:', error));
+    await pool.end();
+
+    logger.info('Shutdown complete');
+  };
+
+  const shutdown = (reason = 'Shutdown') => {
+    if (!closing) {
+      closing = drain(reason);
+    }
+    return closing;
+  };
+
+  return { app, server, shutdown };
+};
+
+if (require.main === module) {
+  const { shutdown } = start();
+
+  ['SIGTERM', 'SIGINT'].forEach((signal) => {
+    process.on(signal, () => {
+      shutdown(signal).then(
+        () => process.exit(0),
+        (error) => {
+          logger.error('Shutdown failed:', error);
+          process.exit(1);
+        }
+      );
+    });
+  });
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = { start };
@@ -0,0 +1,35 @@
+const { sendMail } = require('./mailer');
+const { issueAccountToken, TOKEN_TTL_MINUTES } = require('./accountTokens');
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueAccountToken(user.id, 'email_verification');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email',
+    text: `Hi, ${user.display_name || user.username}!\n\n`
+      + `Confirm your email by opening the link below:\n${appUrl()}/verify-email?token=${token}\n\n`
+      + `The link is valid for ${TOKEN_TTL_MINUTES.email_verification / 60} hours.`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueAccountToken(user.id, 'password_reset');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Password reset',
+    text: `Hi, ${user.display_name || user.username}!\n\n`
+      + `Somebody asked to reset your password. To choose a new one open the link below:\n`
+      + `${appUrl()}/reset-password?token=${token}\n\n`
+      + `The link is valid for ${TOKEN_TTL_MINUTES.password_reset} minutes. `
+      + 'If it was not you, just ignore this email.'
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { pool } = require('../config/db');
+
+const TOKEN_TTL_MINUTES = {
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES, 10) || 24 * 60
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Creates a single-use token for the user and returns it in plain text (only
+// its hash is stored). Earlier unused tokens with the same purpose stop
+// working, so only the latest email link is valid.
+const issueAccountToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await pool.query(
+    `WITH invalidated AS (
+       UPDATE account_tokens SET used_at = NOW()
+       WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+     )
+     INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+    [userId, purpose, hashToken(token), TOKEN_TTL_MINUTES[purpose]]
+  );
+
+  return token;
+};
+
+// Marks the token as used and resolves to its user id, or to null when the
+// token is unknown, expired, already used or meant for another purpose.
+const consumeAccountToken = async (token, purpose) => {
+  const result = await pool.query(
+    `UPDATE account_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2
+       AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+module.exports = {
+  TOKEN_TTL_MINUTES,
+  issueAccountToken,
+  consumeAccountToken
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+// Name of the collection the /jokes/:id/favorite endpoints work with.
+const DEFAULT_COLLECTION_NAME = 'Favorites';
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Share tokens are the only way to reach a collection without logging in,
+// so they must not be guessable.
+const generateShareToken = () => crypto.randomBytes(18).toString('base64url');
+
+const shareUrl = (token) => `${appUrl()}/api/collections/shared/${token}`;
+
+// Hides the share token and exposes the share URL only while the
+// collection is public.
+const formatCollection = ({ share_token: shareToken, ...collection }) => ({
+  ...collection,
+  share_url: collection.is_public ? shareUrl(shareToken) : null
+});
+
+// Selects the caller's default collection, creating it inside the same
+// statement when it does not exist yet. Like favorites always were, it
+// starts out public. Expects the user ID as $1 and a new share token as $2;
+// the result is the `target` CTE with a single id.
+const defaultCollectionCtes = `
+  created AS (
+    INSERT INTO collections (user_id, name, is_public, is_default, share_token)
+    VALUES ($1, '${DEFAULT_COLLECTION_NAME}', TRUE, TRUE, $2)
+    ON CONFLICT (user_id) WHERE is_default DO NOTHING
+    RETURNING id
+  ),
+  target AS (
+    SELECT id FROM created
+    UNION ALL
+    SELECT id FROM collections WHERE user_id = $1 AND is_default
+  )`;
+
+module.exports = {
+  DEFAULT_COLLECTION_NAME,
+  generateShareToken,
+  shareUrl,
+  formatCollection,
+  defaultCollectionCtes
+};
@@ -0,0 +1,26 @@
+// SQL fragments shared by every endpoint that lists jokes, so they all
+// return the same joke shape. They expect jokes aliased as j and the author
+// joined as u.
+
+// Jokes that anybody may see: not in the trash and not hidden by a moderator.
+const VISIBLE_JOKE = 'j.deleted_at IS NULL AND j.hidden_at IS NULL';
+
+const tagsColumn = (jokeAlias) =>
+  `ARRAY(SELECT t.name FROM joke_tags jt JOIN tags t ON t.id = jt.tag_id
+         WHERE jt.joke_id = ${jokeAlias}.id ORDER BY t.name)`;
+
+const JOKE_COLUMNS = `j.*, u.username as author_name,
+  (SELECT COUNT(*) FROM favorites WHERE joke_id = j.id) as favorites_count,
+  (SELECT COUNT(*) FROM comments WHERE joke_id = j.id) as comments_count,
+  ${tagsColumn('j')} as tags`;
+
+// Adds the caller's own vote to the joke payload when a token was sent.
+const myVoteColumn = (paramIndex) =>
+  `, (SELECT value FROM votes WHERE joke_id = j.id AND user_id = $${paramIndex}) as my_vote`;
+
+module.exports = {
+  VISIBLE_JOKE,
+  tagsColumn,
+  JOKE_COLUMNS,
+  myVoteColumn
+};
@@ -0,0 +1,56 @@
+const { getStore } = require('./rateLimit');
+
+// Failed logins before a username gets locked.
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+// The first lockout lasts this long; every further failure doubles it.
+const LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 60;
+const LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS, 10) || 60 * 60;
+// Failures are forgotten a day after the first one, or on a successful login.
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const normalize = (username) => String(username).trim().toLowerCase();
+const failuresKey = (username) => `login-failures:${normalize(username)}`;
+const lockKey = (username) => `login-lock:${normalize(username)}`;
+
+const secondsUntil = (date) => Math.max(0, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+const lockoutSeconds = (failures) => Math.min(
+  LOCKOUT_BASE_SECONDS * 2 ** (failures - LOCKOUT_THRESHOLD),
+  LOCKOUT_MAX_SECONDS
+);
+
+// Resolves to the number of seconds the username stays locked, 0 if it is not.
+const getLockout = async (username) => {
+  const lock = await getStore().get(lockKey(username));
+  return lock ? secondsUntil(lock.resetAt) : 0;
+};
+
+// Counts a failed login and locks the username once the threshold is reached.
+// Resolves to { failures, lockedFor } with lockedFor in seconds.
+const recordFailure = async (username) => {
+  const store = getStore();
+  const { count } = await store.increment(failuresKey(username), FAILURE_WINDOW_MS);
+
+  if (count < LOCKOUT_THRESHOLD) {
+    return { failures: count, lockedFor: 0 };
+  }
+
+  const lockedFor = lockoutSeconds(count);
+  await store.reset(lockKey(username));
+  await store.increment(lockKey(username), lockedFor * 1000);
+
+  return { failures: count, lockedFor };
+};
+
+const clearFailures = async (username) => {
+  const store = getStore();
+  await store.reset(failuresKey(username));
+  await store.reset(lockKey(username));
+};
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  getLockout,
+  recordFailure,
+  clearFailures
+};
@@ -0,0 +1,12 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes every message as a JSON file into `dir`, for local development.
+module.exports = ({ dir }) => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+
+    const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+  }
+});
@@ -0,0 +1,67 @@
+const path = require('path');
+const smtpTransport = require('./smtpTransport');
+const fileTransport = require('./fileTransport');
+const memoryTransport = require('./memoryTransport');
+
+const logger = require('../../config/logger').getLogger('mailer');
+
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+
+// A transport is any object with an async send({ from, to, subject, text }).
+// Production has to name one: mail written to local files would never
+// reach anybody.
+const createTransport = (name = process.env.MAIL_TRANSPORT) => {
+  switch (name) {
+    case 'smtp':
+      return smtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD
+      });
+    case 'memory':
+      return memoryTransport();
+    case 'file':
+      return fileTransport({ dir: MAIL_FILE_DIR });
+    case undefined:
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('MAIL_TRANSPORT must be set in production');
+      }
+      if (process.env.NODE_ENV === 'test') {
+        return memoryTransport();
+      }
+      logger.warn(`MAIL_TRANSPORT is not set, writing mail to files in ${MAIL_FILE_DIR}`);
+      return fileTransport({ dir: MAIL_FILE_DIR });
+    default:
+      throw new Error(`Unknown mail transport: ${name}`);
+  }
+};
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Replaces the transport, e.g. with a memory transport in tests.
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const from = process.env.MAIL_FROM || 'Sirius Jokers <no-reply@localhost>';
+
+  await getTransport().send({ from, to, subject, text });
+  logger.debug(`Mail "${subject}" sent to ${to}`);
+};
+
+module.exports = {
+  createTransport,
+  getTransport,
+  setTransport,
+  sendMail
+};
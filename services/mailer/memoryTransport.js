@@ -0,0 +1,11 @@
+// Keeps sent messages in memory. Meant for tests: inspect `messages`.
+module.exports = () => {
+  const messages = [];
+
+  return {
+    messages,
+    send: async (message) => {
+      messages.push(message);
+    }
+  };
+};
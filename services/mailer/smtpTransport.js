@@ -0,0 +1,16 @@
+const nodemailer = require('nodemailer');
+
+module.exports = ({ host, port, secure, user, password }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined
+  });
+
+  return {
+    send: async (message) => {
+      await transporter.sendMail(message);
+    }
+  };
+};
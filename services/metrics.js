@@ -0,0 +1,74 @@
+const client = require('prom-client');
+const { pool } = require('../config/db');
+
+// Everything GET /metrics reports. A registry of our own rather than the
+// global one, so only these metrics are exposed.
+const register = new client.Registry();
+
+// Process metrics: CPU, memory, event loop lag, GC, open handles.
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests answered, by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time from receiving an HTTP request to finishing the response',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+// Pool counters are read when scraped, there is nothing to update.
+const poolGauge = (name, help, read) => new client.Gauge({
+  name,
+  help,
+  registers: [register],
+  collect() {
+    this.set(read() || 0);
+  }
+});
+
+poolGauge('pg_pool_clients', 'Clients open in the pg pool, busy or idle', () => pool.totalCount);
+poolGauge('pg_pool_idle_clients', 'Open pg pool clients not running a query', () => pool.idleCount);
+poolGauge('pg_pool_waiting_clients', 'Queries queued for a free pg pool client', () => pool.waitingCount);
+
+const jokesCreated = new client.Counter({
+  name: 'jokes_created_total',
+  help: 'Jokes created',
+  registers: [register]
+});
+
+const logins = new client.Counter({
+  name: 'logins_total',
+  help: 'Successful logins',
+  registers: [register]
+});
+
+// reason: invalid_credentials, locked or banned.
+const failedLogins = new client.Counter({
+  name: 'failed_logins_total',
+  help: 'Rejected logins, by reason',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const favoritesAdded = new client.Counter({
+  name: 'favorites_added_total',
+  help: 'Jokes added to favorites',
+  registers: [register]
+});
+
+module.exports = {
+  register,
+  httpRequestsTotal,
+  httpRequestDuration,
+  jokesCreated,
+  logins,
+  failedLogins,
+  favoritesAdded
+};
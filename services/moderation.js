@@ -0,0 +1,129 @@
+const { pool } = require('../config/db');
+
+const logger = require('../config/logger').getLogger('moderation');
+
+const REPORT_REASONS = ['offensive', 'spam', 'duplicate'];
+
+const MODERATOR_ROLES = ['moderator', 'admin'];
+
+const isModerator = (user) => Boolean(user) && MODERATOR_ROLES.includes(user.role);
+
+// Number of distinct users with an open report after which a joke is hidden
+// automatically until a moderator looks at it.
+const AUTO_HIDE_THRESHOLD = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD, 10) || 5;
+
+// What each queue action does to the open reports of the joke.
+const REPORT_STATUS_BY_ACTION = {
+  dismiss: 'dismissed',
+  hide: 'actioned',
+  delete: 'actioned'
+};
+
+// Hides the joke once enough distinct users have open reports on it.
+// Resolves to { reporters, hidden } where hidden tells whether this call hid it.
+const autoHideIfReported = async (jokeId) => {
+  const note = `Automatically hidden after ${AUTO_HIDE_THRESHOLD} reports`;
+
+  const result = await pool.query(
+    `WITH counted AS (
+       SELECT COUNT(DISTINCT reporter_id) as reporters
+       FROM reports WHERE joke_id = $1 AND status = 'open'
+     ),
+     hidden AS (
+       UPDATE jokes SET hidden_at = NOW(), hide_reason = $3
+       WHERE id = $1 AND hidden_at IS NULL AND deleted_at IS NULL
+         AND (SELECT reporters FROM counted) >= $2
+       RETURNING id
+     ),
+     logged AS (
+       INSERT INTO moderation_actions (joke_id, moderator_id, action, note)
+       SELECT id, NULL, 'auto_hide', $3 FROM hidden
+     )
+     SELECT (SELECT reporters FROM counted)::int as reporters,
+            EXISTS (SELECT 1 FROM hidden) as hidden`,
+    [jokeId, AUTO_HIDE_THRESHOLD, note]
+  );
+
+  if (result.rows[0].hidden) {
+    logger.info(`Joke ${jokeId} auto-hidden after ${result.rows[0].reporters} reports`);
+  }
+
+  return result.rows[0];
+};
+
+// Applies a queue action (dismiss, hide or delete) to a joke, resolves all
+// its open reports and records the decision, in one transaction. Resolves
+// to the recorded action, or to null when the joke does not exist.
+const resolveReports = async (jokeId, moderatorId, action, note = null) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const joke = await client.query(
+      'SELECT id FROM jokes WHERE id = $1 FOR UPDATE',
+      [jokeId]
+    );
+
+    if (joke.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (action === 'hide') {
+      await client.query(
+        `UPDATE jokes SET hidden_at = COALESCE(hidden_at, NOW()), hidden_by = $2, hide_reason = $3
+         WHERE id = $1`,
+        [jokeId, moderatorId, note]
+      );
+    } else if (action === 'dismiss') {
+      // The reports were wrong, so a hide they caused is lifted. A hide by a
+      // moderator (hidden_by set) stays.
+      await client.query(
+        `UPDATE jokes SET hidden_at = NULL, hide_reason = NULL
+         WHERE id = $1 AND hidden_at IS NOT NULL AND hidden_by IS NULL`,
+        [jokeId]
+      );
+    } else if (action === 'delete') {
+      // deleted_by keeps the joke out of its author's trash, so the author
+      // cannot restore it.
+      await client.query(
+        `UPDATE jokes SET deleted_at = COALESCE(deleted_at, NOW()), deleted_by = $2, delete_reason = $3
+         WHERE id = $1`,
+        [jokeId, moderatorId, note]
+      );
+    }
+
+    const resolved = await client.query(
+      `UPDATE reports SET status = $2, resolved_at = NOW(), resolved_by = $3
+       WHERE joke_id = $1 AND status = 'open'
+       RETURNING id`,
+      [jokeId, REPORT_STATUS_BY_ACTION[action], moderatorId]
+    );
+
+    const recorded = await client.query(
+      `INSERT INTO moderation_actions (joke_id, moderator_id, action, note, reports_resolved)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [jokeId, moderatorId, action, note, resolved.rows.length]
+    );
+
+    await client.query('COMMIT');
+
+    return recorded.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  REPORT_REASONS,
+  MODERATOR_ROLES,
+  isModerator,
+  AUTO_HIDE_THRESHOLD,
+  autoHideIfReported,
+  resolveReports
+};
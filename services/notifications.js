@@ -0,0 +1,44 @@
+// What the author is told, by notification type.
+const NOTIFICATION_VERBS = {
+  favorite: 'favorited your joke',
+  vote: 'voted on your joke',
+  comment: 'commented on your joke'
+};
+
+// Notifies the author of the joke in the `source` CTE, which must have a
+// joke_id column. Meant to be added to the statement that records the
+// action, so both happen or neither does. Authors are not notified of
+// their own actions; repeated favorites and votes are skipped by
+// idx_notifications_unread_actor while the first one is unread.
+const notifyAuthorCte = (type, { source, actor, commentId = 'NULL' }) => `
+  notified AS (
+    INSERT INTO notifications (user_id, type, joke_id, actor_id, comment_id)
+    SELECT j.author_id, '${type}', j.id, ${actor}, ${commentId}
+    FROM ${source} s
+    JOIN jokes j ON j.id = s.joke_id
+    WHERE j.author_id <> ${actor}
+    ON CONFLICT DO NOTHING
+  )`;
+
+const actorName = (actor) => actor.display_name || actor.username;
+
+// "alice favorited your joke", "alice and bob ..." or "5 people ...".
+const notificationMessage = ({ type, actors, actors_count: actorsCount }) => {
+  const verb = NOTIFICATION_VERBS[type];
+
+  if (actorsCount === 1 && actors.length === 1) {
+    return `${actorName(actors[0])} ${verb}`;
+  }
+
+  if (actorsCount === 2 && actors.length === 2) {
+    return `${actorName(actors[0])} and ${actorName(actors[1])} ${verb}`;
+  }
+
+  return `${actorsCount} people ${verb}`;
+};
+
+module.exports = {
+  NOTIFICATION_VERBS,
+  notifyAuthorCte,
+  notificationMessage
+};
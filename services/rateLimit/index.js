@@ -0,0 +1,37 @@
+const memoryStore = require('./memoryStore');
+const pgStore = require('./pgStore');
+
+// A store counts hits per key in fixed windows. It has async
+// increment(key, windowMs) -> { count, resetAt }, get(key), reset(key)
+// and prune().
+const createStore = (name = process.env.RATE_LIMIT_STORE) => {
+  switch (name) {
+    case 'postgres':
+      return pgStore({ pool: require('../../config/db').pool });
+    case 'memory':
+    case undefined:
+      return memoryStore();
+    default:
+      throw new Error(`Unknown rate limit store: ${name}`);
+  }
+};
+
+let store;
+
+const getStore = () => {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+};
+
+// Replaces the store, e.g. with a fresh memory store in tests.
+const setStore = (nextStore) => {
+  store = nextStore;
+};
+
+module.exports = {
+  createStore,
+  getStore,
+  setStore
+};
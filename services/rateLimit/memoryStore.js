@@ -0,0 +1,41 @@
+// Keeps counters in process memory. Limits are per instance, so use the
+// postgres store when several instances run behind a load balancer.
+module.exports = () => {
+  const counters = new Map();
+
+  const current = (key) => {
+    const entry = counters.get(key);
+
+    if (entry && entry.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+
+    return entry || null;
+  };
+
+  return {
+    increment: async (key, windowMs) => {
+      const entry = current(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      counters.set(key, entry);
+
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    get: async (key) => {
+      const entry = current(key);
+      return entry ? { count: entry.count, resetAt: new Date(entry.resetAt) } : null;
+    },
+
+    reset: async (key) => {
+      counters.delete(key);
+    },
+
+    prune: async () => {
+      for (const key of counters.keys()) {
+        current(key);
+      }
+    }
+  };
+};
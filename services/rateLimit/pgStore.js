@@ -0,0 +1,37 @@
+// Keeps counters in the rate_limits table, so all instances share them.
+module.exports = ({ pool }) => ({
+  // A single upsert both starts a new window and counts within the current
+  // one, so concurrent requests never lose an increment.
+  increment: async (key, windowMs) => {
+    const result = await pool.query(
+      `INSERT INTO rate_limits (key, count, reset_at)
+       VALUES ($1, 1, NOW() + make_interval(secs => $2))
+       ON CONFLICT (key) DO UPDATE SET
+         count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+         reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+       RETURNING count, reset_at`,
+      [key, windowMs / 1000]
+    );
+
+    return { count: result.rows[0].count, resetAt: new Date(result.rows[0].reset_at) };
+  },
+
+  get: async (key) => {
+    const result = await pool.query(
+      'SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > NOW()',
+      [key]
+    );
+
+    return result.rows.length > 0
+      ? { count: result.rows[0].count, resetAt: new Date(result.rows[0].reset_at) }
+      : null;
+  },
+
+  reset: async (key) => {
+    await pool.query('DELETE FROM rate_limits WHERE key = $1', [key]);
+  },
+
+  prune: async () => {
+    await pool.query('DELETE FROM rate_limits WHERE reset_at <= NOW()');
+  }
+});
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/db');
+
+const logger = require('../config/logger').getLogger('sessions');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// users.last_seen_at is written at most this often per user.
+const LAST_SEEN_UPDATE_SECONDS = parseInt(process.env.LAST_SEEN_UPDATE_SECONDS, 10) || 300;
+
+// Only the SHA-256 of a refresh token is stored, so a leaked table cannot be
+// replayed.
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user.id, role: user.role, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const tokenPair = (user, sessionId, refreshToken) => {
+  const token = signAccessToken(user, sessionId);
+  const { exp, iat } = jwt.decode(token);
+
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_in: exp - iat
+  };
+};
+
+// Starts a new session (token family) for the user ({ id, role }) and
+// returns an access token together with its first refresh token.
+const createSession = async (user, userAgent = null) => {
+  const refreshToken = generateRefreshToken();
+
+  const result = await pool.query(
+    `WITH new_session AS (
+       INSERT INTO sessions (user_id, user_agent) VALUES ($1, $2) RETURNING id
+     )
+     INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     SELECT id, $3, NOW() + make_interval(days => $4) FROM new_session
+     RETURNING session_id`,
+    [user.id, userAgent, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return tokenPair(user, result.rows[0].session_id, refreshToken);
+};
+
+const revokeSession = async (sessionId) => {
+  await pool.query(
+    'UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+};
+
+const revokeAllSessions = async (userId) => {
+  const result = await pool.query(
+    'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+
+  return result.rowCount;
+};
+
+// Exchanges a refresh token for a new token pair. Every refresh token is
+// single-use: presenting one that was already rotated means it was stolen
+// (or replayed), so the whole session is revoked.
+// Resolves to { tokens } on success or { error } with the reason.
+const rotateRefreshToken = async (refreshToken) => {
+  const result = await pool.query(
+    `SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at < NOW() as expired,
+            s.user_id, s.revoked_at, u.role, u.banned_at
+     FROM refresh_tokens rt
+     JOIN sessions s ON s.id = rt.session_id
+     JOIN users u ON u.id = s.user_id
+     WHERE rt.token_hash = $1`,
+    [hashToken(refreshToken)]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const stored = result.rows[0];
+
+  if (stored.revoked_at) {
+    return { error: 'Session revoked' };
+  }
+
+  if (stored.banned_at) {
+    await revokeSession(stored.session_id);
+    return { error: 'Account banned' };
+  }
+
+  if (stored.used_at) {
+    logger.warn(`Refresh token reuse detected, revoking session: ${stored.session_id}`);
+    await revokeSession(stored.session_id);
+    return { error: 'Refresh token reuse detected' };
+  }
+
+  if (stored.expired) {
+    return { error: 'Refresh token expired' };
+  }
+
+  // The used_at guard makes two concurrent refreshes with the same token
+  // count as reuse instead of both succeeding.
+  const claimed = await pool.query(
+    'UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1 AND used_at IS NULL RETURNING id',
+    [stored.id]
+  );
+
+  if (claimed.rows.length === 0) {
+    logger.warn(`Refresh token reuse detected, revoking session: ${stored.session_id}`);
+    await revokeSession(stored.session_id);
+    return { error: 'Refresh token reuse detected' };
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+
+  await pool.query(
+    `WITH touched AS (
+       UPDATE sessions SET last_used_at = NOW() WHERE id = $1
+     )
+     INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+    [stored.session_id, hashToken(nextRefreshToken), REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return {
+    tokens: tokenPair({ id: stored.user_id, role: stored.role }, stored.session_id, nextRefreshToken)
+  };
+};
+
+// Verifies an access token and checks that its session is still active and
+// its user is not banned. Throws on a malformed or expired token, resolves
+// to null for a revoked session and to the token payload otherwise. The
+// role is taken from the database, so role changes apply immediately.
+// The same statement bumps users.last_seen_at once it is older than
+// LAST_SEEN_UPDATE_SECONDS.
+const verifyAccessToken = async (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!payload.sid) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `WITH seen AS (
+       UPDATE users SET last_seen_at = NOW()
+       WHERE id = $2 AND banned_at IS NULL
+         AND (last_seen_at IS NULL OR last_seen_at < NOW() - make_interval(secs => $3))
+         AND EXISTS (SELECT 1 FROM sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL)
+     )
+     SELECT s.revoked_at, u.role, u.banned_at
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1 AND s.user_id = $2`,
+    [payload.sid, payload.id, LAST_SEEN_UPDATE_SECONDS]
+  );
+
+  if (result.rows.length === 0 || result.rows[0].revoked_at || result.rows[0].banned_at) {
+    return null;
+  }
+
+  return { ...payload, role: result.rows[0].role || payload.role };
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken
+};
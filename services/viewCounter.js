@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { pool } = require('../config/db');
+const memoryStore = require('./rateLimit/memoryStore');
+
+const logger = require('../config/logger').getLogger('viewCounter');
+
+// A viewer counts once per joke within this window.
+const VIEW_DEDUP_WINDOW_MINUTES = parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES, 10) || 60;
+// Buffered views are written at least this often...
+const VIEW_FLUSH_INTERVAL_SECONDS = parseInt(process.env.VIEW_FLUSH_INTERVAL_SECONDS, 10) || 10;
+// ...or as soon as this many jokes have pending views.
+const VIEW_FLUSH_MAX_JOKES = parseInt(process.env.VIEW_FLUSH_MAX_JOKES, 10) || 500;
+
+// jokeId -> views not yet written to jokes.views.
+const pending = new Map();
+
+// Recent viewers per joke. Kept in process memory whatever RATE_LIMIT_STORE
+// says: a shared store would cost a write on every read. With several
+// instances a viewer may be counted once per instance, which is fine for a
+// view counter.
+const viewers = memoryStore();
+
+// Identifies a viewer: the user when logged in, otherwise a hash of the IP
+// and User-Agent so raw addresses are never stored.
+const viewerKey = ({ userId, ip, userAgent }) => {
+  if (userId !== undefined && userId !== null) {
+    return `user:${userId}`;
+  }
+
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${ip}|${userAgent || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+
+  return `anon:${fingerprint}`;
+};
+
+// Writes all buffered views to jokes.views and to the daily counts in one
+// statement. Resolves to the number of jokes updated. On failure the views
+// go back into the buffer.
+const flushViews = async () => {
+  if (pending.size === 0) {
+    return 0;
+  }
+
+  const batch = [...pending.entries()];
+  pending.clear();
+
+  try {
+    // The daily counts feed the trending rankings.
+    await pool.query(
+      `WITH batch AS (
+         SELECT * FROM unnest($1::bigint[], $2::int[]) AS batch(id, views)
+       ),
+       daily AS (
+         INSERT INTO joke_daily_views (joke_id, day, views)
+         SELECT batch.id, CURRENT_DATE, batch.views
+         FROM batch JOIN jokes ON jokes.id = batch.id
+         ON CONFLICT (joke_id, day) DO UPDATE SET views = joke_daily_views.views + EXCLUDED.views
+       )
+       UPDATE jokes SET views = jokes.views + batch.views
+       FROM batch
+       WHERE jokes.id = batch.id`,
+      [batch.map(([jokeId]) => jokeId), batch.map(([, views]) => views)]
+    );
+  } catch (error) {
+    for (const [jokeId, views] of batch) {
+      pending.set(jokeId, (pending.get(jokeId) || 0) + views);
+    }
+    throw error;
+  }
+
+  logger.debug(`Flushed views of ${batch.length} jokes`);
+  return batch.length;
+};
+
+// Counts a view unless the viewer already saw the joke within the dedup
+// window. Resolves to true when the view was counted.
+const recordView = async (jokeId, viewer) => {
+  const { count } = await viewers.increment(
+    `${jokeId}:${viewer}`,
+    VIEW_DEDUP_WINDOW_MINUTES * 60 * 1000
+  );
+
+  if (count > 1) {
+    return false;
+  }
+
+  const key = String(jokeId);
+  pending.set(key, (pending.get(key) || 0) + 1);
+
+  if (pending.size >= VIEW_FLUSH_MAX_JOKES) {
+    flushViews().catch((error) => logger.error('Flushing views failed:', error));
+  }
+
+  return true;
+};
+
+// Forgets viewers whose dedup window is over.
+const pruneViewers = () => viewers.prune();
+
+const pendingViews = () => new Map(pending);
+
+module.exports = {
+  VIEW_FLUSH_INTERVAL_SECONDS,
+  viewerKey,
+  recordView,
+  flushViews,
+  pruneViewers,
+  pendingViews
+};
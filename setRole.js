@@ -0,0 +1,54 @@
+require('dotenv').config();
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const USAGE = `Usage: node setRole.js <username> <role>
+
+Roles: ${ROLES.join(', ')}
+
+Every admin endpoint needs an admin, so the first one is made here, e.g.
+after registering: npm run set-role -- alice admin`;
+
+// Sets the role of a user by username and returns { id, username, role }.
+// Sessions read the role from the database, so it applies to the user's
+// next request without logging in again.
+const setRole = async (client, username, role) => {
+  if (!username || !role) {
+    throw new Error(USAGE);
+  }
+
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}\n\n${USAGE}`);
+  }
+
+  const result = await client.query(
+    'UPDATE users SET role = $1 WHERE username = $2 RETURNING id, username, role',
+    [role, username]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error(`No user named ${username}`);
+  }
+
+  return result.rows[0];
+};
+
+if (require.main === module) {
+  const { pool } = require('./config/db');
+  const [username, role] = process.argv.slice(2);
+
+  setRole(pool, username, role)
+    .then((user) => {
+      console.log(`${user.username} (id ${user.id}) is now ${user.role}`);
+    })
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = {
+  ROLES,
+  setRole,
+};
@@ -0,0 +1,156 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const adminRouter = require('../routes/admin');
+const { errorHandler } = require('../middleware/errorHandler');
+const { validateRequest, validateResponses } = require('../middleware/openapi');
+
+jest.mock('../config/db', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+}));
+
+jest.mock('../middleware/auth', () => {
+  return (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const token = authHeader.slice(7);
+        const jwtLocal = require('jsonwebtoken');
+        req.user = jwtLocal.verify(token, process.env.JWT_SECRET);
+      } catch (error) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+    } else {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+    next();
+  };
+});
+
+const { pool } = require('../config/db');
+
+process.env.JWT_SECRET = 'test-secret-key';
+
+describe('Admin Routes', () => {
+  let app;
+  let adminToken;
+  let userToken;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use(validateResponses);
+    app.use(validateRequest);
+    app.use('/api/admin', adminRouter);
+    app.use(errorHandler);
+    jest.clearAllMocks();
+    adminToken = jwt.sign({ id: 1, role: 'admin' }, process.env.JWT_SECRET);
+    userToken = jwt.sign({ id: 2, role: 'user' }, process.env.JWT_SECRET);
+  });
+
+  it('should reject non-admin users', async () => {
+    const response = await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+
+    expect(response.body.error.message).toBe('Forbidden');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  describe('GET /api/admin/users', () => {
+    it('should list users filtered by role', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, username: 'mod', role: 'moderator' }] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      const response = await request(app)
+        .get('/api/admin/users?role=moderator&banned=false')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.items[0].role).toBe('moderator');
+      expect(pool.query.mock.calls[0][0]).toContain('banned_at IS NULL');
+      expect(pool.query.mock.calls[0][1]).toEqual(['moderator', 10, 0]);
+    });
+  });
+
+  describe('PATCH /api/admin/users/:id/role', () => {
+    it('should change the role of a user', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 2, username: 'user', role: 'moderator' }] });
+
+      const response = await request(app)
+        .patch('/api/admin/users/2/role')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'moderator' })
+        .expect(200);
+
+      expect(response.body.data.role).toBe('moderator');
+    });
+
+    it('should reject an unknown role', async () => {
+      const response = await request(app)
+        .patch('/api/admin/users/2/role')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'superuser' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid role');
+    });
+
+    it('should not let admins change their own role', async () => {
+      const response = await request(app)
+        .patch('/api/admin/users/1/role')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'user' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid target');
+    });
+
+    it('should return 404 for non-existent user', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .patch('/api/admin/users/999/role')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin' })
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/admin/users/:id/ban', () => {
+    it('should ban the user and revoke their sessions', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 2, banned_at: '2025-01-01T00:00:00.000Z', ban_reason: 'spam' }] })
+        .mockResolvedValueOnce({ rowCount: 2 });
+
+      const response = await request(app)
+        .post('/api/admin/users/2/ban')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'spam' })
+        .expect(200);
+
+      expect(response.body.data.ban_reason).toBe('spam');
+      expect(pool.query).toHaveBeenLastCalledWith(
+        'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        ['2']
+      );
+    });
+  });
+
+  describe('POST /api/admin/users/:id/unban', () => {
+    it('should unban the user', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 2, banned_at: null }] });
+
+      const response = await request(app)
+        .post('/api/admin/users/2/unban')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.banned_at).toBeNull();
+    });
+  });
+});
@@ -3,6 +3,12 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const authRouter = require('../routes/auth');
+const mailer = require('../services/mailer');
+const memoryTransport = require('../services/mailer/memoryTransport');
+const rateLimitStore = require('../services/rateLimit');
+const { register, logins, failedLogins } = require('../services/metrics');
+const { errorHandler } = require('../middleware/errorHandler');
+const { validateRequest, validateResponses } = require('../middleware/openapi');
 
 jest.mock('../config/db', () => ({
   pool: {
@@ -16,12 +22,20 @@ process.env.JWT_SECRET = 'test-secret-key';
 
 describe('Auth Routes', () => {
   let app;
+  let mail;
 
   beforeEach(() => {
+    mail = memoryTransport();
+    mailer.setTransport(mail);
+    rateLimitStore.setStore(rateLimitStore.createStore('memory'));
     app = express();
     app.use(express.json());
+    app.use(validateResponses);
+    app.use(validateRequest);
     app.use('/api/auth', authRouter);
+    app.use(errorHandler);
     jest.clearAllMocks();
+    register.resetMetrics();
   });
 
   describe('POST /api/auth/register', () => {
@@ -33,16 +47,18 @@ describe('Auth Routes', () => {
         display_name: 'Test User',
       };
 
-      pool.query.mockResolvedValueOnce({
-        rows: [
-          {
-            id: 1,
-            username: 'testuser',
-            email: 'test@example.com',
-            display_name: 'Test User',
-          },
-        ],
-      });
+      pool.query
+        .mockResolvedValueOnce({
+          rows: [
+            {
+              id: 1,
+              username: 'testuser',
+              email: 'test@example.com',
+              display_name: 'Test User',
+            },
+          ],
+        })
+        .mockResolvedValueOnce({ rows: [{ session_id: 7 }] });
 
       const response = await request(app)
         .post('/api/auth/register')
@@ -53,6 +69,11 @@ describe('Auth Routes', () => {
       expect(response.body.data.username).toBe('testuser');
       expect(response.body.data.email).toBe('test@example.com');
       expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refresh_token).toBeDefined();
+      expect(jwt.decode(response.body.data.token).sid).toBe(7);
+      expect(mail.messages.length).toBe(1);
+      expect(mail.messages[0].to).toBe('test@example.com');
+      expect(mail.messages[0].text).toContain('/verify-email?token=');
     });
 
     it('should reject registration with missing fields', async () => {
@@ -61,7 +82,7 @@ describe('Auth Routes', () => {
         .send({ username: 'testuser' })
         .expect(400);
 
-      expect(response.body.error).toBe('Missing required fields');
+      expect(response.body.error.message).toBe('Missing required fields');
     });
 
     it('should reject registration with short password', async () => {
@@ -74,7 +95,7 @@ describe('Auth Routes', () => {
         })
         .expect(400);
 
-      expect(response.body.error).toBe('Password too short');
+      expect(response.body.error.message).toBe('Invalid password');
     });
 
     it('should reject registration with invalid email', async () => {
@@ -87,7 +108,7 @@ describe('Auth Routes', () => {
         })
         .expect(400);
 
-      expect(response.body.error).toBe('Invalid email format');
+      expect(response.body.error.message).toBe('Invalid email');
     });
 
     it('should handle duplicate username error', async () => {
@@ -105,9 +126,13 @@ describe('Auth Routes', () => {
       const response = await request(app)
         .post('/api/auth/register')
         .send(newUser)
-        .expect(400);
+        .expect(409);
 
-      expect(response.body.error).toBe('Username already exists');
+      expect(response.body.error).toEqual({
+        code: 'USERNAME_TAKEN',
+        message: 'Username already exists',
+        details: expect.any(String),
+      });
     });
 
     it('should handle duplicate email error', async () => {
@@ -125,9 +150,13 @@ describe('Auth Routes', () => {
       const response = await request(app)
         .post('/api/auth/register')
         .send(newUser)
-        .expect(400);
+        .expect(409);
 
-      expect(response.body.error).toBe('Email already exists');
+      expect(response.body.error).toEqual({
+        code: 'EMAIL_TAKEN',
+        message: 'Email already exists',
+        details: expect.any(String),
+      });
     });
   });
 
@@ -144,7 +173,9 @@ describe('Auth Routes', () => {
         password_hash: hashedPassword,
       };
 
-      pool.query.mockResolvedValueOnce({ rows: [user] });
+      pool.query
+        .mockResolvedValueOnce({ rows: [user] })
+        .mockResolvedValueOnce({ rows: [{ session_id: 3 }] });
 
       const response = await request(app)
         .post('/api/auth/login')
@@ -156,7 +187,10 @@ describe('Auth Routes', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refresh_token).toBeDefined();
+      expect(response.body.data.expires_in).toBe(15 * 60);
       expect(response.body.data.user.username).toBe('testuser');
+      expect((await logins.get()).values[0].value).toBe(1);
     });
 
     it('should reject login with missing fields', async () => {
@@ -165,7 +199,7 @@ describe('Auth Routes', () => {
         .send({ username: 'testuser' })
         .expect(400);
 
-      expect(response.body.error).toBe('Missing required fields');
+      expect(response.body.error.message).toBe('Missing required field');
     });
 
     it('should reject login with non-existent user', async () => {
@@ -179,8 +213,12 @@ describe('Auth Routes', () => {
         })
         .expect(401);
 
-      expect(response.body.error).toBe('Authentication failed');
-      expect(response.body.details).toBe('Invalid username or password');
+      expect(response.body.error.message).toBe('Authentication failed');
+      expect(response.body.error.details).toBe('Invalid username or password');
+      expect((await failedLogins.get()).values).toEqual([
+        { value: 1, labels: { reason: 'invalid_credentials' } },
+      ]);
+      expect((await logins.get()).values[0].value).toBe(0);
     });
 
     it('should reject login with incorrect password', async () => {
@@ -201,7 +239,106 @@ describe('Auth Routes', () => {
         })
         .expect(401);
 
-      expect(response.body.error).toBe('Authentication failed');
+      expect(response.body.error.message).toBe('Authentication failed');
+    });
+
+    it('should reject login of a banned user', async () => {
+      const user = {
+        id: 1,
+        username: 'testuser',
+        password_hash: await bcrypt.hash('password123', 10),
+        banned_at: '2025-01-01T00:00:00.000Z',
+        ban_reason: 'spam',
+      };
+
+      pool.query.mockResolvedValueOnce({ rows: [user] });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'testuser', password: 'password123' })
+        .expect(403);
+
+      expect(response.body.error.message).toBe('Account banned');
+      expect((await failedLogins.get()).values).toEqual([
+        { value: 1, labels: { reason: 'banned' } },
+      ]);
+    });
+
+    it('should lock a username after repeated failed logins', async () => {
+      const user = {
+        id: 1,
+        username: 'testuser',
+        password_hash: await bcrypt.hash('password123', 4),
+      };
+      for (let attempt = 0; attempt < 5; attempt += 1) {
+        pool.query.mockResolvedValueOnce({ rows: [user] });
+        await request(app)
+          .post('/api/auth/login')
+          .send({ username: 'testuser', password: 'wrongpassword' })
+          .expect(401);
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'TestUser', password: 'password123' })
+        .expect(429);
+
+      expect(response.body.error.message).toBe('Too many failed login attempts');
+      expect(response.headers['retry-after']).toBe('60');
+      expect(pool.query).toHaveBeenCalledTimes(5);
+      expect((await failedLogins.get()).values).toEqual([
+        { value: 5, labels: { reason: 'invalid_credentials' } },
+        { value: 1, labels: { reason: 'locked' } },
+      ]);
+    });
+
+    it('should reset failed attempts after a successful login', async () => {
+      const user = {
+        id: 1,
+        username: 'testuser',
+        password_hash: await bcrypt.hash('password123', 4),
+      };
+
+      for (let attempt = 0; attempt < 4; attempt += 1) {
+        pool.query.mockResolvedValueOnce({ rows: [user] });
+        await request(app)
+          .post('/api/auth/login')
+          .send({ username: 'testuser', password: 'wrongpassword' })
+          .expect(401);
+      }
+
+      pool.query
+        .mockResolvedValueOnce({ rows: [user] })
+        .mockResolvedValueOnce({ rows: [{ session_id: 3 }] });
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'testuser', password: 'password123' })
+        .expect(200);
+
+      pool.query.mockResolvedValueOnce({ rows: [user] });
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'testuser', password: 'wrongpassword' })
+        .expect(401);
+    });
+
+    it('should rate limit logins per IP', async () => {
+      for (let attempt = 0; attempt < 20; attempt += 1) {
+        pool.query.mockResolvedValueOnce({ rows: [] });
+        await request(app)
+          .post('/api/auth/login')
+          .send({ username: `user${attempt}`, password: 'wrongpassword' });
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'another', password: 'wrongpassword' })
+        .expect(429);
+
+      expect(response.body.error.message).toBe('Too many requests');
+      expect(response.headers['ratelimit-limit']).toBe('20');
+      expect(response.headers['ratelimit-remaining']).toBe('0');
+      expect(response.headers['retry-after']).toBeDefined();
     });
   });
 
@@ -215,9 +352,11 @@ describe('Auth Routes', () => {
         created_at: '2025-01-01T00:00:00Z',
       };
 
-      pool.query.mockResolvedValueOnce({ rows: [user] });
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ revoked_at: null }] })
+        .mockResolvedValueOnce({ rows: [user] });
 
-      const token = jwt.sign({ id: 1 }, process.env.JWT_SECRET);
+      const token = jwt.sign({ id: 1, sid: 1 }, process.env.JWT_SECRET);
 
       const mockAuth = (req, res, next) => {
         req.user = { id: 1 };
@@ -226,6 +365,8 @@ describe('Auth Routes', () => {
 
       app = express();
       app.use(express.json());
+      app.use(validateResponses);
+      app.use(validateRequest);
       app.use((req, res, next) => {
         const authHeader = req.headers.authorization;
         if (authHeader && authHeader.startsWith('Bearer ')) {
@@ -239,6 +380,7 @@ describe('Auth Routes', () => {
         next();
       });
       app.use('/api/auth', authRouter);
+      app.use(errorHandler);
 
       const response = await request(app)
         .get('/api/auth/me')
@@ -249,17 +391,328 @@ describe('Auth Routes', () => {
       expect(response.body.data.username).toBe('testuser');
     });
 
+    it('should keep last_seen_at up to date while checking the session', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ revoked_at: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, username: 'testuser' }] });
+
+      const token = jwt.sign({ id: 1, sid: 3 }, process.env.JWT_SECRET);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][0]).toContain('UPDATE users SET last_seen_at = NOW()');
+      expect(pool.query.mock.calls[0][1]).toEqual([3, 1, 300]);
+    });
+
     it('should return 404 when user not found', async () => {
-      pool.query.mockResolvedValueOnce({ rows: [] });
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ revoked_at: null }] })
+        .mockResolvedValueOnce({ rows: [] });
 
-      const token = jwt.sign({ id: 999 }, process.env.JWT_SECRET);
+      const token = jwt.sign({ id: 999, sid: 1 }, process.env.JWT_SECRET);
 
       const response = await request(app)
         .get('/api/auth/me')
         .set('Authorization', `Bearer ${token}`)
         .expect(404);
 
-      expect(response.body.error).toBe('User not found');
+      expect(response.body.error.message).toBe('User not found');
+    });
+  });
+
+  describe('POST /api/auth/check-availability', () => {
+    it('should answer for the username and email sent', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/auth/check-availability')
+        .send({ username: 'testuser', email: 'new@example.com' })
+        .expect(200);
+
+      expect(response.body.data).toEqual({ usernameAvailable: false, emailAvailable: true });
+      expect(pool.query.mock.calls[1][1]).toEqual(['new@example.com']);
+    });
+
+    it('should only check the fields that were sent', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/auth/check-availability')
+        .send({ username: 'newuser' })
+        .expect(200);
+
+      expect(response.body.data).toEqual({ usernameAvailable: true });
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject a username that is not a string', async () => {
+      const response = await request(app)
+        .post('/api/auth/check-availability')
+        .send({ username: 42 })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_FAILED');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate the refresh token', async () => {
+      pool.query
+        .mockResolvedValueOnce({
+          rows: [{ id: 5, session_id: 2, user_id: 1, used_at: null, expired: false, revoked_at: null }],
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: 'old-token' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.refresh_token).not.toBe('old-token');
+      expect(jwt.decode(response.body.data.token)).toMatchObject({ id: 1, sid: 2 });
+    });
+
+    it('should revoke the session when a used token is presented again', async () => {
+      pool.query
+        .mockResolvedValueOnce({
+          rows: [{ id: 5, session_id: 2, user_id: 1, used_at: '2025-01-01T00:00:00.000Z', expired: false, revoked_at: null }],
+        })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: 'old-token' })
+        .expect(401);
+
+      expect(response.body.error.details).toBe('Refresh token reuse detected');
+      expect(pool.query).toHaveBeenLastCalledWith(
+        'UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+        [2]
+      );
+    });
+
+    it('should reject an unknown refresh token', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: 'unknown' })
+        .expect(401);
+
+      expect(response.body.error.details).toBe('Invalid refresh token');
+    });
+
+    it('should reject a request without refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Missing required field');
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the current session', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ revoked_at: null }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const token = jwt.sign({ id: 1, sid: 4 }, process.env.JWT_SECRET);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(204);
+
+      expect(pool.query).toHaveBeenLastCalledWith(
+        'UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+        [4]
+      );
+    });
+
+    it('should reject a token of a banned user', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ revoked_at: null, banned_at: '2025-01-01T00:00:00.000Z' }] });
+
+      const token = jwt.sign({ id: 1, sid: 4 }, process.env.JWT_SECRET);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it('should reject a token of a revoked session', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ revoked_at: '2025-01-01T00:00:00.000Z' }] });
+
+      const token = jwt.sign({ id: 1, sid: 4 }, process.env.JWT_SECRET);
+
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      expect(response.body.error.message).toBe('Session revoked');
+      expect(response.body.error.code).toBe('SESSION_REVOKED');
+    });
+
+    it('should answer 401 for a malformed token', async () => {
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', 'Bearer not-a-jwt')
+        .expect(401);
+
+      expect(response.body).toEqual({
+        success: false,
+        error: { code: 'INVALID_TOKEN', message: 'Invalid token', details: null },
+      });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/auth/logout-all', () => {
+    it('should revoke every session of the user', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ revoked_at: null }] })
+        .mockResolvedValueOnce({ rowCount: 3 });
+
+      const token = jwt.sign({ id: 1, sid: 4 }, process.env.JWT_SECRET);
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.revoked_sessions).toBe(3);
+    });
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    it('should email a reset link to a registered user', async () => {
+      pool.query
+        .mockResolvedValueOnce({
+          rows: [{ id: 1, username: 'testuser', email: 'test@example.com' }],
+        })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(response.body.success).toBe(true);
+      expect(mail.messages.length).toBe(1);
+      expect(mail.messages[0].text).toContain('/reset-password?token=');
+      expect(pool.query.mock.calls[1][1]).toEqual([1, 'password_reset', expect.any(String), 60]);
+    });
+
+    it('should answer the same way for an unknown email', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(mail.messages.length).toBe(0);
+    });
+
+    it('should answer without waiting for the email to be sent', async () => {
+      pool.query
+        .mockResolvedValueOnce({
+          rows: [{ id: 1, username: 'testuser', email: 'test@example.com' }],
+        })
+        .mockReturnValueOnce(new Promise(() => {}));
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(mail.messages.length).toBe(0);
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    it('should set the new password and revoke all sessions', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ user_id: 1 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rowCount: 2 });
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'reset-token', password: 'new-password' })
+        .expect(200);
+
+      const [, [hash, userId]] = pool.query.mock.calls[1];
+      expect(userId).toBe(1);
+      expect(await bcrypt.compare('new-password', hash)).toBe(true);
+      expect(pool.query).toHaveBeenLastCalledWith(
+        'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [1]
+      );
+    });
+
+    it('should reject an invalid or expired token', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'used-token', password: 'new-password' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid token');
+    });
+
+    it('should reject a short password', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'reset-token', password: 'short' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid password');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/auth/verify-email', () => {
+    it('should mark the email as verified', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ user_id: 1 }] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 1, email: 'test@example.com', email_verified_at: '2025-01-01T00:00:00.000Z' }],
+        });
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: 'verify-token' })
+        .expect(200);
+
+      expect(response.body.data.email_verified_at).toBe('2025-01-01T00:00:00.000Z');
+      expect(pool.query.mock.calls[0][1][1]).toBe('email_verification');
+    });
+
+    it('should reject an invalid token', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: 'bad-token' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid token');
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,401 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const collectionsRouter = require('../routes/collections');
+const { JOKE_COLUMNS } = require('../services/jokeQueries');
+const { errorHandler } = require('../middleware/errorHandler');
+const { validateRequest, validateResponses } = require('../middleware/openapi');
+
+jest.mock('../config/db', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+}));
+
+jest.mock('../middleware/auth', () => {
+  return (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const token = authHeader.slice(7);
+        const jwtLocal = require('jsonwebtoken');
+        req.user = jwtLocal.verify(token, process.env.JWT_SECRET);
+      } catch (error) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+    } else {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+    next();
+  };
+});
+
+const { pool } = require('../config/db');
+
+process.env.JWT_SECRET = 'test-secret-key';
+process.env.APP_URL = 'https://jokes.example';
+
+describe('Collections Routes', () => {
+  let app;
+  let authToken;
+
+  const collection = (overrides = {}) => ({
+    id: '3',
+    user_id: '1',
+    owner_name: 'testuser',
+    name: 'Work jokes',
+    description: null,
+    is_public: false,
+    is_default: false,
+    share_token: 'token123',
+    created_at: '2025-01-01T00:00:00.000Z',
+    updated_at: '2025-01-01T00:00:00.000Z',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use(validateResponses);
+    app.use(validateRequest);
+    app.use('/api/collections', collectionsRouter);
+    app.use(errorHandler);
+    pool.query.mockReset();
+    authToken = jwt.sign({ id: 1 }, process.env.JWT_SECRET);
+  });
+
+  describe('GET /api/collections', () => {
+    it('should create the default collection and list the caller collections', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rowCount: 0 })
+        .mockResolvedValueOnce({
+          rows: [
+            collection({ id: '1', name: 'Favorites', is_default: true, is_public: true, jokes_count: 2 }),
+            collection({ jokes_count: 0 }),
+          ],
+        });
+
+      const response = await request(app)
+        .get('/api/collections')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][0]).toContain('ON CONFLICT (user_id) WHERE is_default DO NOTHING');
+      expect(response.body.data[0].share_url).toBe('https://jokes.example/api/collections/shared/token123');
+      expect(response.body.data[1].share_url).toBeNull();
+      expect(response.body.data[0].share_token).toBeUndefined();
+    });
+
+    it('should require auth', async () => {
+      await request(app).get('/api/collections').expect(401);
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/collections', () => {
+    it('should create a collection', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [collection({ is_public: true })] });
+
+      const response = await request(app)
+        .post('/api/collections')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: '  Work jokes ', is_public: true })
+        .expect(201);
+
+      const params = pool.query.mock.calls[0][1];
+      expect(params.slice(0, 4)).toEqual([1, 'Work jokes', null, true]);
+      expect(params[4]).toMatch(/^[\w-]{24}$/);
+      expect(response.body.data.share_url).toContain('/api/collections/shared/');
+    });
+
+    it('should reject a missing name', async () => {
+      const response = await request(app)
+        .post('/api/collections')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ is_public: true })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Missing required field');
+    });
+
+    it('should reject a non-boolean is_public', async () => {
+      await request(app)
+        .post('/api/collections')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Work', is_public: 'yes' })
+        .expect(400);
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/collections/:id', () => {
+    it('should return the collection with its jokes in order', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [collection()] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, position: 1 }, { id: 5, position: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ total: '2' }] });
+
+      const response = await request(app)
+        .get('/api/collections/3')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.collection.name).toBe('Work jokes');
+      expect(response.body.data.items.map((joke) => joke.id)).toEqual([7, 5]);
+      expect(response.body.data.pagination.total).toBe(2);
+      expect(pool.query.mock.calls[1][0]).toContain('ORDER BY cj.position');
+      expect(pool.query.mock.calls[1][0]).toContain(JOKE_COLUMNS);
+    });
+
+    it('should hide private collections of other users', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [collection({ user_id: '2' })] });
+
+      await request(app)
+        .get('/api/collections/3')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should show public collections of other users', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [collection({ user_id: '2', is_public: true })] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] });
+
+      await request(app)
+        .get('/api/collections/3')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+    });
+  });
+
+  describe('PATCH /api/collections/:id', () => {
+    it('should rename and publish a collection', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [collection()] })
+        .mockResolvedValueOnce({ rows: [collection({ name: 'Office', is_public: true })] });
+
+      const response = await request(app)
+        .patch('/api/collections/3')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Office', is_public: true })
+        .expect(200);
+
+      expect(pool.query.mock.calls[1][0]).toContain('SET name = $1, is_public = $2, updated_at = NOW()');
+      expect(pool.query.mock.calls[1][1]).toEqual(['Office', true, '3']);
+      expect(response.body.data.share_url).not.toBeNull();
+    });
+
+    it('should not let users change public collections of others', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [collection({ user_id: '2', is_public: true })] });
+
+      const response = await request(app)
+        .patch('/api/collections/3')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Mine now' })
+        .expect(403);
+
+      expect(response.body.error.message).toBe('Forbidden');
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject an empty update', async () => {
+      await request(app)
+        .patch('/api/collections/3')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /api/collections/:id', () => {
+    it('should delete a collection', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [collection()] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      await request(app)
+        .delete('/api/collections/3')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(204);
+
+      expect(pool.query.mock.calls[1]).toEqual(['DELETE FROM collections WHERE id = $1', ['3']]);
+    });
+
+    it('should keep the default collection', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [collection({ is_default: true })] });
+
+      await request(app)
+        .delete('/api/collections/3')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('POST /api/collections/:id/jokes', () => {
+    it('should add a joke to the end of the collection', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [collection()] })
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [{ collection_id: 3, joke_id: 5, position: 4 }] });
+
+      const response = await request(app)
+        .post('/api/collections/3/jokes')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ joke_id: 5 })
+        .expect(201);
+
+      expect(response.body.data.position).toBe(4);
+      expect(pool.query.mock.calls[2][0]).toContain('COALESCE(MAX(position), 0) + 1');
+      expect(pool.query.mock.calls[2][1]).toEqual(['3', 5]);
+    });
+
+    it('should return 404 for a missing joke', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [collection()] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/collections/3/jokes')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ joke_id: 999 })
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Joke not found');
+    });
+
+    it('should return 409 when the joke is already there', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [collection()] })
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post('/api/collections/3/jokes')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ joke_id: 5 })
+        .expect(409);
+    });
+
+    it('should reject an invalid joke_id', async () => {
+      await request(app)
+        .post('/api/collections/3/jokes')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ joke_id: 'abc' })
+        .expect(400);
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/collections/:id/jokes/:jokeId', () => {
+    it('should remove a joke', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [collection()] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      await request(app)
+        .delete('/api/collections/3/jokes/5')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(204);
+
+      expect(pool.query.mock.calls[1][1]).toEqual(['3', '5']);
+    });
+
+    it('should return 404 when the joke is not in the collection', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [collection()] })
+        .mockResolvedValueOnce({ rowCount: 0 });
+
+      await request(app)
+        .delete('/api/collections/3/jokes/5')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('PUT /api/collections/:id/order', () => {
+    it('should reorder the jokes', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [collection()] })
+        .mockResolvedValueOnce({ rows: [{ joke_id: '7' }, { joke_id: '5' }] })
+        .mockResolvedValueOnce({ rowCount: 2 });
+
+      await request(app)
+        .put('/api/collections/3/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ joke_ids: [7, 5] })
+        .expect(200);
+
+      expect(pool.query.mock.calls[2][0]).toContain('WITH ORDINALITY');
+      expect(pool.query.mock.calls[2][1]).toEqual(['3', ['7', '5']]);
+    });
+
+    it('should reject jokes that are not in the collection', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [collection()] })
+        .mockResolvedValueOnce({ rows: [{ joke_id: '7' }] });
+
+      const response = await request(app)
+        .put('/api/collections/3/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ joke_ids: [7, 8] })
+        .expect(400);
+
+      expect(response.body.error.details).toBe('Not in this collection: 8');
+      expect(pool.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject repeated jokes', async () => {
+      await request(app)
+        .put('/api/collections/3/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ joke_ids: [7, 7] })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/collections/shared/:token', () => {
+    it('should show a public collection without auth', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [collection({ is_public: true })] })
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      const response = await request(app)
+        .get('/api/collections/shared/token123')
+        .expect(200);
+
+      expect(response.body.data.collection.owner_name).toBe('testuser');
+      expect(pool.query.mock.calls[0][0]).toContain('c.is_public');
+      expect(pool.query.mock.calls[0][1]).toEqual(['token123']);
+    });
+
+    it('should return 404 for private or unknown links', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/collections/shared/nope')
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/collections/:id/share-token', () => {
+    it('should replace the share link', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [collection({ is_public: true })] })
+        .mockResolvedValueOnce({ rows: [collection({ is_public: true, share_token: 'fresh' })] });
+
+      const response = await request(app)
+        .post('/api/collections/3/share-token')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.share_url).toBe('https://jokes.example/api/collections/shared/fresh');
+    });
+  });
+});
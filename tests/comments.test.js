@@ -0,0 +1,290 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const commentsRouter = require('../routes/comments');
+const rateLimitStore = require('../services/rateLimit');
+const { errorHandler } = require('../middleware/errorHandler');
+const { validateRequest, validateResponses } = require('../middleware/openapi');
+
+jest.mock('../config/db', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+}));
+
+jest.mock('../middleware/auth', () => {
+  return (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const token = authHeader.slice(7);
+        const jwtLocal = require('jsonwebtoken');
+        req.user = jwtLocal.verify(token, process.env.JWT_SECRET);
+      } catch (error) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+    } else {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+    next();
+  };
+});
+
+jest.mock('../middleware/optionalAuth', () => {
+  return (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const jwtLocal = require('jsonwebtoken');
+        req.user = jwtLocal.verify(authHeader.slice(7), process.env.JWT_SECRET);
+      } catch (error) {
+        req.user = undefined;
+      }
+    }
+    next();
+  };
+});
+
+const { pool } = require('../config/db');
+
+process.env.JWT_SECRET = 'test-secret-key';
+
+describe('Comments Routes', () => {
+  let app;
+  let authToken;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use(validateResponses);
+    app.use(validateRequest);
+    app.use('/api/jokes/:jokeId/comments', commentsRouter);
+    app.use(errorHandler);
+    jest.clearAllMocks();
+    rateLimitStore.setStore(rateLimitStore.createStore('memory'));
+    authToken = jwt.sign({ id: 1 }, process.env.JWT_SECRET);
+  });
+
+  describe('GET /api/jokes/:jokeId/comments', () => {
+    it('should fetch comments with replies and pagination', async () => {
+      const comments = [
+        {
+          id: 1,
+          joke_id: 5,
+          author_name: 'user1',
+          body: 'Смешно',
+          replies: [{ id: 2, author_name: 'user2', body: 'Согласен' }],
+        },
+      ];
+
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ author_id: 2, hidden_at: null }] })
+        .mockResolvedValueOnce({ rows: comments })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      const response = await request(app)
+        .get('/api/jokes/5/comments?page=1&limit=5')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.items[0].replies.length).toBe(1);
+      expect(response.body.data.pagination.total).toBe(1);
+      expect(pool.query.mock.calls[0][0]).toContain('deleted_at IS NULL');
+      expect(pool.query.mock.calls[1][1]).toEqual(['5', 5, 0]);
+    });
+
+    it('should return 404 for a missing or deleted joke', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/jokes/5/comments')
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Joke not found');
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 for a hidden joke', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ author_id: 2, hidden_at: '2025-01-10T00:00:00.000Z' }] });
+
+      const response = await request(app)
+        .get('/api/jokes/5/comments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Joke not found');
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should list comments of a hidden joke for its author', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ author_id: 1, hidden_at: '2025-01-10T00:00:00.000Z' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] });
+
+      await request(app)
+        .get('/api/jokes/5/comments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+    });
+
+    it('should list comments of a hidden joke for moderators', async () => {
+      const moderatorToken = jwt.sign({ id: 9, role: 'moderator' }, process.env.JWT_SECRET);
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ author_id: 2, hidden_at: '2025-01-10T00:00:00.000Z' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] });
+
+      await request(app)
+        .get('/api/jokes/5/comments')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+    });
+
+    it('should return 400 for invalid joke ID', async () => {
+      const response = await request(app)
+        .get('/api/jokes/abc/comments')
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid jokeId');
+    });
+  });
+
+  describe('POST /api/jokes/:jokeId/comments', () => {
+    it('should create a comment', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 10, joke_id: 5, body: 'Nice', author_name: 'user1' }],
+        });
+
+      const response = await request(app)
+        .post('/api/jokes/5/comments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Nice' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.id).toBe(10);
+      expect(pool.query.mock.calls[1][1]).toEqual(['5', 1, null, 'Nice']);
+      expect(pool.query.mock.calls[1][0]).toContain("'comment', j.id, $2, s.id");
+    });
+
+    it('should create a reply to a top-level comment', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [{ joke_id: '5', parent_id: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 11, parent_id: 10, body: 'Reply' }] });
+
+      const response = await request(app)
+        .post('/api/jokes/5/comments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Reply', parent_id: 10 })
+        .expect(201);
+
+      expect(response.body.data.parent_id).toBe(10);
+    });
+
+    it('should reject a reply to a reply', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [{ joke_id: '5', parent_id: 10 }] });
+
+      const response = await request(app)
+        .post('/api/jokes/5/comments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Reply', parent_id: 11 })
+        .expect(400);
+
+      expect(response.body.error.details).toBe('Replies to replies are not allowed');
+    });
+
+    it('should return 404 for non-existent joke', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/jokes/999/comments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Nice' })
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Joke not found');
+    });
+
+    it('should reject an empty comment', async () => {
+      const response = await request(app)
+        .post('/api/jokes/5/comments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: '  ' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid body');
+    });
+
+    it('should reject commenting without auth', async () => {
+      const response = await request(app)
+        .post('/api/jokes/5/comments')
+        .send({ body: 'Nice' })
+        .expect(401);
+
+      expect(response.body.error).toBe('No token provided');
+    });
+  });
+
+  describe('PATCH /api/jokes/:jokeId/comments/:commentId', () => {
+    it('should update own comment', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ author_id: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 10, body: 'Edited' }] });
+
+      const response = await request(app)
+        .patch('/api/jokes/5/comments/10')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Edited' })
+        .expect(200);
+
+      expect(response.body.data.body).toBe('Edited');
+    });
+
+    it('should reject update by non-author', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ author_id: 999 }] });
+
+      const response = await request(app)
+        .patch('/api/jokes/5/comments/10')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Edited' })
+        .expect(403);
+
+      expect(response.body.error.message).toBe('Forbidden');
+    });
+  });
+
+  describe('DELETE /api/jokes/:jokeId/comments/:commentId', () => {
+    it('should delete own comment', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ author_id: 1 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .delete('/api/jokes/5/comments/10')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(204);
+
+      expect(pool.query).toHaveBeenLastCalledWith(
+        'DELETE FROM comments WHERE id = $1',
+        ['10']
+      );
+    });
+
+    it('should return 404 for non-existent comment', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .delete('/api/jokes/5/comments/999')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Comment not found');
+    });
+  });
+});
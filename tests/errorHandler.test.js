@@ -0,0 +1,134 @@
+const request = require('supertest');
+const express = require('express');
+
+const mockLogger = { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() };
+
+jest.mock('../config/logger', () => ({
+  ...jest.requireActual('../config/logger'),
+  getLogger: () => mockLogger,
+}));
+
+const { notFound, errorHandler } = require('../middleware/errorHandler');
+const { validateRequest } = require('../middleware/openapi');
+const { NotFoundError, ValidationError } = require('../errors');
+const { fromPgError } = require('../errors/pg');
+
+const pgError = (code, constraint) => Object.assign(new Error(`raw message ${code}`), { code, constraint });
+
+describe('Error handling', () => {
+  let app;
+
+  const failWith = (error) => {
+    app = express();
+    app.use(express.json());
+    app.post('/fail', (req, res, next) => next(error));
+    app.use(notFound);
+    app.use(errorHandler);
+  };
+
+  it('should send app errors in the error envelope', async () => {
+    failWith(new ValidationError('Invalid ID', 'Please provide a valid joke ID'));
+
+    const response = await request(app).post('/fail').expect(400);
+
+    expect(response.body).toEqual({
+      success: false,
+      error: { code: 'VALIDATION_FAILED', message: 'Invalid ID', details: 'Please provide a valid joke ID' },
+    });
+  });
+
+  it('should keep custom codes', async () => {
+    failWith(new NotFoundError('Joke not found', null, 'JOKE_GONE'));
+
+    const response = await request(app).post('/fail').expect(404);
+
+    expect(response.body.error.code).toBe('JOKE_GONE');
+  });
+
+  it('should map pg errors without leaking their message', async () => {
+    failWith(pgError('23505', 'some_unique_index'));
+
+    const response = await request(app).post('/fail').expect(409);
+
+    expect(response.body.error.code).toBe('ALREADY_EXISTS');
+    expect(JSON.stringify(response.body)).not.toContain('raw message');
+  });
+
+  it('should hide unexpected errors behind a 500', async () => {
+    failWith(new Error('secret stack detail'));
+
+    const response = await request(app).post('/fail').expect(500);
+
+    expect(response.body.error).toEqual({
+      code: 'INTERNAL_ERROR',
+      message: 'Internal server error',
+      details: 'Please try again later',
+    });
+  });
+
+  it('should keep share tokens out of the error log', async () => {
+    mockLogger.error.mockReset();
+    app = express();
+    app.use(validateRequest);
+    app.get('/api/collections/shared/:token', (req, res, next) => next(new Error('boom')));
+    app.use(errorHandler);
+
+    await request(app).get('/api/collections/shared/SECRETSHARETOKEN123').expect(500);
+
+    expect(mockLogger.error.mock.calls[0][0]).toBe('GET /api/collections/shared/[REDACTED] failed:');
+  });
+
+  it('should answer 400 for a malformed JSON body', async () => {
+    failWith(new Error('unused'));
+
+    const response = await request(app)
+      .post('/fail')
+      .set('Content-Type', 'application/json')
+      .send('{"broken":')
+      .expect(400);
+
+    expect(response.body.error.code).toBe('INVALID_JSON');
+  });
+
+  it('should answer 404 for unknown routes', async () => {
+    failWith(new Error('unused'));
+
+    const response = await request(app).get('/nowhere').expect(404);
+
+    expect(response.body.error.code).toBe('ROUTE_NOT_FOUND');
+  });
+});
+
+describe('fromPgError', () => {
+  it('should prefer constraint-specific errors', () => {
+    const error = fromPgError(pgError('23505', 'users_username_key'));
+
+    expect(error.status).toBe(409);
+    expect(error.code).toBe('USERNAME_TAKEN');
+  });
+
+  it.each([
+    ['23503', 400, 'INVALID_REFERENCE'],
+    ['23514', 400, 'CONSTRAINT_VIOLATION'],
+    ['22P02', 400, 'INVALID_INPUT'],
+    ['40P01', 503, 'DATABASE_BUSY'],
+    ['57014', 503, 'DATABASE_TIMEOUT'],
+    ['08006', 503, 'DATABASE_UNAVAILABLE'],
+    ['42P01', 500, 'DATABASE_ERROR'],
+  ])('should map SQLSTATE %s to %i %s', (code, status, errorCode) => {
+    const error = fromPgError(pgError(code));
+
+    expect(error.status).toBe(status);
+    expect(error.code).toBe(errorCode);
+  });
+
+  it('should treat refused connections as an unavailable database', () => {
+    const error = fromPgError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+    expect(error.code).toBe('DATABASE_UNAVAILABLE');
+  });
+
+  it('should ignore errors that did not come from pg', () => {
+    expect(fromPgError(new Error('boom'))).toBeNull();
+  });
+});
@@ -2,6 +2,10 @@ const request = require('supertest');
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const favoritesRouter = require('../routes/favorites');
+const { register, favoritesAdded } = require('../services/metrics');
+const { JOKE_COLUMNS } = require('../services/jokeQueries');
+const { errorHandler } = require('../middleware/errorHandler');
+const { validateRequest, validateResponses } = require('../middleware/openapi');
 
 jest.mock('../config/db', () => ({
   pool: {
@@ -27,6 +31,21 @@ jest.mock('../middleware/auth', () => {
   };
 });
 
+jest.mock('../middleware/optionalAuth', () => {
+  return (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const jwtLocal = require('jsonwebtoken');
+        req.user = jwtLocal.verify(authHeader.slice(7), process.env.JWT_SECRET);
+      } catch (error) {
+        req.user = undefined;
+      }
+    }
+    next();
+  };
+});
+
 const { pool } = require('../config/db');
 
 process.env.JWT_SECRET = 'test-secret-key';
@@ -38,25 +57,70 @@ describe('Favorites Routes', () => {
   beforeEach(() => {
     app = express();
     app.use(express.json());
+    app.use(validateResponses);
+    app.use(validateRequest);
     app.use('/api/favorites', favoritesRouter);
-    jest.clearAllMocks();
+    app.use(errorHandler);
+    pool.query.mockReset();
+    register.resetMetrics();
     authToken = jwt.sign({ id: 1 }, process.env.JWT_SECRET);
   });
 
   describe('POST /api/favorites/jokes/:id/favorite', () => {
     it('should add a joke to favorites', async () => {
-      pool.query.mockResolvedValueOnce({ rows: [{ user_id: 1, joke_id: 5 }] });
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [{ joke_id: 5 }] });
 
       const response = await request(app)
         .post('/api/favorites/jokes/5/favorite')
         .set('Authorization', `Bearer ${authToken}`)
         .expect(201);
 
-      expect(response.status).toBe(201);
-      expect(pool.query).toHaveBeenCalledWith(
-        'INSERT INTO favorites (user_id, joke_id) VALUES ($1, $2)',
-        [1, '5']
-      );
+      expect(response.body).toEqual({ success: true, data: { joke_id: 5, favorited: true } });
+      expect(pool.query.mock.calls[1][0]).toContain('INSERT INTO collection_jokes');
+      expect(pool.query.mock.calls[1][0]).toContain('ON CONFLICT (user_id) WHERE is_default DO NOTHING');
+      expect(pool.query.mock.calls[1][1][0]).toBe(1);
+      expect(pool.query.mock.calls[1][1][2]).toBe('5');
+      expect((await favoritesAdded.get()).values[0].value).toBe(1);
+    });
+
+    it('should answer 200 when the joke is already a favorite', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/favorites/jokes/5/favorite')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.favorited).toBe(true);
+      expect(pool.query.mock.calls[1][0]).toContain('ON CONFLICT (collection_id, joke_id) DO NOTHING');
+      expect(pool.query.mock.calls[1][0]).toContain('INSERT INTO notifications');
+      expect((await favoritesAdded.get()).values[0].value).toBe(0);
+    });
+
+    it('should return 404 for a missing joke', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/favorites/jokes/999/favorite')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Joke not found');
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject an invalid joke ID', async () => {
+      const response = await request(app)
+        .post('/api/favorites/jokes/abc/favorite')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid id');
+      expect(pool.query).not.toHaveBeenCalled();
     });
 
     it('should reject adding to favorites without auth', async () => {
@@ -68,16 +132,15 @@ describe('Favorites Routes', () => {
     });
 
     it('should handle database error when adding to favorites', async () => {
-      const error = new Error('Duplicate key');
-      error.code = '23505';
-      pool.query.mockRejectedValueOnce(error);
+      pool.query.mockRejectedValueOnce(new Error('connection refused'));
 
       const response = await request(app)
         .post('/api/favorites/jokes/5/favorite')
         .set('Authorization', `Bearer ${authToken}`)
-        .expect(400);
+        .expect(500);
 
-      expect(response.body.error).toBeDefined();
+      expect(response.body.error.code).toBe('INTERNAL_ERROR');
+      expect(response.body.error.details).not.toContain('connection refused');
     });
   });
 
@@ -91,10 +154,9 @@ describe('Favorites Routes', () => {
         .expect(204);
 
       expect(response.status).toBe(204);
-      expect(pool.query).toHaveBeenCalledWith(
-        'DELETE FROM favorites WHERE user_id = $1 AND joke_id = $2',
-        [1, '5']
-      );
+      expect(pool.query.mock.calls[0][0]).toContain('DELETE FROM collection_jokes');
+      expect(pool.query.mock.calls[0][0]).toContain('c.is_default');
+      expect(pool.query.mock.calls[0][1]).toEqual([1, '5']);
     });
 
     it('should reject removing from favorites without auth', async () => {
@@ -106,19 +168,48 @@ describe('Favorites Routes', () => {
     });
 
     it('should handle database error when removing from favorites', async () => {
-      const error = new Error('Database error');
-      pool.query.mockRejectedValueOnce(error);
+      pool.query.mockRejectedValueOnce(new Error('Database error'));
 
       const response = await request(app)
         .delete('/api/favorites/jokes/5/favorite')
         .set('Authorization', `Bearer ${authToken}`)
+        .expect(500);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('PATCH /api/favorites/visibility', () => {
+    it('should make favorites private', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ is_public: false }] });
+
+      const response = await request(app)
+        .patch('/api/favorites/visibility')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ is_public: false })
+        .expect(200);
+
+      expect(response.body.data.is_public).toBe(false);
+      expect(pool.query.mock.calls[0][0]).toContain('DO UPDATE SET is_public = EXCLUDED.is_public');
+      expect(pool.query.mock.calls[0][1].slice(0, 3)).toEqual([1, 'Favorites', false]);
+    });
+
+    it('should reject a non-boolean is_public', async () => {
+      await request(app)
+        .patch('/api/favorites/visibility')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ is_public: 'no' })
         .expect(400);
 
-      expect(response.body.error).toBeDefined();
+      expect(pool.query).not.toHaveBeenCalled();
     });
   });
 
   describe('GET /api/favorites/users/:id/favorites', () => {
+    const mockOwner = (owner = { id: '1', collection_id: '10', is_public: true }) => {
+      pool.query.mockResolvedValueOnce({ rows: [owner] });
+    };
+
     it('should get user favorites', async () => {
       const favorites = [
         {
@@ -127,7 +218,7 @@ describe('Favorites Routes', () => {
           body: 'This is a funny joke',
           language: 'en',
           author_name: 'user1',
-          created_at: '2025-01-01',
+          created_at: '2025-01-01T00:00:00.000Z',
         },
         {
           id: 2,
@@ -135,121 +226,152 @@ describe('Favorites Routes', () => {
           body: 'Another funny joke',
           language: 'en',
           author_name: 'user2',
-          created_at: '2025-01-02',
+          created_at: '2025-01-02T00:00:00.000Z',
         },
       ];
 
-      pool.query.mockResolvedValueOnce({ rows: favorites });
+      mockOwner();
+      pool.query
+        .mockResolvedValueOnce({ rows: favorites })
+        .mockResolvedValueOnce({ rows: [{ total: '2' }] });
 
       const response = await request(app)
         .get('/api/favorites/users/1/favorites')
         .expect(200);
 
-      expect(response.body).toEqual(favorites);
-      expect(response.body.length).toBe(2);
-      expect(response.body[0].title).toBe('Favorite Joke 1');
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.items).toEqual(favorites);
+      expect(response.body.data.items[0].title).toBe('Favorite Joke 1');
+      expect(response.body.data.pagination).toEqual({
+        page: 1, limit: 10, total: 2, totalPages: 1, hasNext: false, hasPrev: false,
+      });
+      expect(pool.query.mock.calls[1][1]).toEqual(['10', 10, 0]);
+      expect(pool.query.mock.calls[1][0]).toContain(JOKE_COLUMNS);
+      expect(pool.query.mock.calls[1][0]).toContain('cj.added_at as favorited_at');
     });
 
-    it('should return empty array when user has no favorites', async () => {
-      pool.query.mockResolvedValueOnce({ rows: [] });
+    it('should return an empty page when user has no favorites yet', async () => {
+      mockOwner({ id: '999', collection_id: null, is_public: null });
 
       const response = await request(app)
         .get('/api/favorites/users/999/favorites')
         .expect(200);
 
-      expect(response.body).toEqual([]);
+      expect(response.body.data.items).toEqual([]);
+      expect(response.body.data.pagination.total).toBe(0);
+      expect(pool.query).toHaveBeenCalledTimes(1);
     });
 
-    it('should order favorites by creation date (newest first)', async () => {
-      const favorites = [
-        {
-          id: 2,
-          title: 'Newer Joke',
-          created_at: '2025-01-02',
-          author_name: 'user1',
-        },
-        {
-          id: 1,
-          title: 'Older Joke',
-          created_at: '2025-01-01',
-          author_name: 'user1',
-        },
-      ];
+    it('should order favorites by the time they were added (newest first) by default', async () => {
+      mockOwner();
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] });
 
-      pool.query.mockResolvedValueOnce({ rows: favorites });
-
-      const response = await request(app)
+      await request(app)
         .get('/api/favorites/users/1/favorites')
         .expect(200);
 
-      expect(response.body[0].created_at).toBe('2025-01-02');
-      expect(response.body[1].created_at).toBe('2025-01-01');
+      expect(pool.query.mock.calls[1][0]).toContain('ORDER BY cj.added_at DESC, j.id DESC');
     });
 
-    it('should include author information for jokes', async () => {
-      const favorites = [
-        {
-          id: 1,
-          title: 'Joke',
-          body: 'Body',
-          author_name: 'original_author',
-          language: 'en',
-        },
-      ];
-
-      pool.query.mockResolvedValueOnce({ rows: favorites });
+    it('should sort by collection order and paginate', async () => {
+      mockOwner();
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ total: '12' }] });
 
       const response = await request(app)
-        .get('/api/favorites/users/1/favorites')
+        .get('/api/favorites/users/1/favorites?sort=position&page=2&limit=5')
         .expect(200);
 
-      expect(response.body[0].author_name).toBe('original_author');
+      expect(pool.query.mock.calls[1][0]).toContain('ORDER BY cj.position ASC');
+      expect(pool.query.mock.calls[1][1]).toEqual(['10', 5, 5]);
+      expect(response.body.data.pagination.hasNext).toBe(true);
     });
 
-    it('should handle database error', async () => {
-      const error = new Error('Database error');
-      pool.query.mockRejectedValueOnce(error);
-
+    it('should reject an unknown sort', async () => {
       const response = await request(app)
-        .get('/api/favorites/users/1/favorites')
+        .get('/api/favorites/users/1/favorites?sort=random')
         .expect(400);
 
-      expect(response.body.error).toBeDefined();
+      expect(response.body.error.message).toBe('Invalid sort');
+      expect(pool.query).not.toHaveBeenCalled();
     });
 
-    it('should return different favorites for different users', async () => {
-      const user1Favorites = [
-        {
-          id: 1,
-          title: 'User 1 Favorite',
-          author_name: 'user1',
-        },
-      ];
+    it('should reject an invalid user ID', async () => {
+      const response = await request(app)
+        .get('/api/favorites/users/abc/favorites')
+        .expect(400);
 
-      const user2Favorites = [
-        {
-          id: 2,
-          title: 'User 2 Favorite',
-          author_name: 'user2',
+      expect(response.body).toEqual({
+        success: false,
+        error: {
+          code: 'VALIDATION_FAILED',
+          message: 'Invalid id',
+          details: 'id must be integer',
+          fields: [{ location: 'path', field: 'id', message: 'must be integer' }],
         },
-      ];
+      });
+    });
 
-      pool.query.mockResolvedValueOnce({ rows: user1Favorites });
+    it('should return 404 for an unknown user', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/favorites/users/999/favorites')
+        .expect(404);
+    });
+
+    it('should hide private favorites from other users', async () => {
+      mockOwner({ id: '2', collection_id: '20', is_public: false });
+
+      const response = await request(app)
+        .get('/api/favorites/users/2/favorites')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      expect(response.body.error.message).toBe('Forbidden');
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
 
-      const response1 = await request(app)
+    it('should show private favorites to their owner', async () => {
+      mockOwner({ id: '1', collection_id: '10', is_public: false });
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Mine' }] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      const response = await request(app)
         .get('/api/favorites/users/1/favorites')
+        .set('Authorization', `Bearer ${authToken}`)
         .expect(200);
 
-      expect(response1.body[0].title).toBe('User 1 Favorite');
+      expect(response.body.data.items[0].title).toBe('Mine');
+    });
 
-      jest.clearAllMocks();
-      pool.query.mockResolvedValueOnce({ rows: user2Favorites });
+    it('should include author information for jokes', async () => {
+      mockOwner();
+      pool.query
+        .mockResolvedValueOnce({
+          rows: [{ id: 1, title: 'Joke', body: 'Body', author_name: 'original_author', language: 'en' }],
+        })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
 
-      const response2 = await request(app)
-        .get('/api/favorites/users/2/favorites')
+      const response = await request(app)
+        .get('/api/favorites/users/1/favorites')
         .expect(200);
 
-      expect(response2.body[0].title).toBe('User 2 Favorite');
+      expect(response.body.data.items[0].author_name).toBe('original_author');
+    });
+
+    it('should handle database error', async () => {
+      pool.query.mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app)
+        .get('/api/favorites/users/1/favorites')
+        .expect(500);
+
+      expect(response.body.error.code).toBe('INTERNAL_ERROR');
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const feedRouter = require('../routes/feed');
+const { encodeCursor } = require('../middleware/cursor');
+const { errorHandler } = require('../middleware/errorHandler');
+const { validateRequest, validateResponses } = require('../middleware/openapi');
+
+jest.mock('../config/db', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+}));
+
+jest.mock('../middleware/auth', () => {
+  return (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const token = authHeader.slice(7);
+        const jwtLocal = require('jsonwebtoken');
+        req.user = jwtLocal.verify(token, process.env.JWT_SECRET);
+      } catch (error) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+    } else {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+    next();
+  };
+});
+
+const { pool } = require('../config/db');
+
+process.env.JWT_SECRET = 'test-secret-key';
+
+describe('Feed Routes', () => {
+  let app;
+  let authToken;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use(validateResponses);
+    app.use(validateRequest);
+    app.use('/api/feed', feedRouter);
+    app.use(errorHandler);
+    pool.query.mockReset();
+    authToken = jwt.sign({ id: 1 }, process.env.JWT_SECRET);
+  });
+
+  it('should require auth', async () => {
+    await request(app).get('/api/feed').expect(401);
+
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('should return jokes of followed authors, newest first', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 2, author_name: 'author', my_vote: null }] })
+      .mockResolvedValueOnce({ rows: [{ total: '11' }] });
+
+    const response = await request(app)
+      .get('/api/feed')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.data.items[0].author_name).toBe('author');
+    expect(response.body.data.pagination).toEqual({
+      page: 1, limit: 10, total: 11, totalPages: 2, hasNext: true, hasPrev: false,
+    });
+    expect(pool.query.mock.calls[0][0]).toContain('SELECT followee_id FROM follows WHERE follower_id = $1');
+    expect(pool.query.mock.calls[0][0]).toContain('ORDER BY j.created_at DESC, j.id DESC');
+    expect(pool.query.mock.calls[0][1]).toEqual([1, 10, 0]);
+  });
+
+  it('should page with a cursor', async () => {
+    pool.query.mockResolvedValueOnce({
+      rows: [
+        { id: 9, cursor_key: ['2025-01-03T00:00:00.000001+00:00', 9] },
+        { id: 7, cursor_key: ['2025-01-02T00:00:00+00:00', 7] },
+        { id: 4, cursor_key: ['2025-01-01T00:00:00+00:00', 4] },
+      ],
+    });
+
+    const response = await request(app)
+      .get('/api/feed?cursor=&limit=2')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.data.items.map((joke) => joke.id)).toEqual([9, 7]);
+    expect(response.body.data.items[0].cursor_key).toBeUndefined();
+    expect(response.body.data.pagination).toEqual({
+      limit: 2,
+      hasNext: true,
+      next_cursor: encodeCursor('newest', ['2025-01-02T00:00:00+00:00', 7]),
+    });
+    expect(pool.query.mock.calls[0][1]).toEqual([1, 3]);
+  });
+
+  it('should count the feed in cursor mode when asked to', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 9, cursor_key: ['2025-01-03T00:00:00+00:00', 9] }] })
+      .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+    const response = await request(app)
+      .get('/api/feed?cursor=&total=exact')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.data.pagination).toEqual({
+      limit: 10,
+      hasNext: false,
+      next_cursor: null,
+      total: 1,
+    });
+    expect(pool.query.mock.calls[1][0]).toContain('SELECT COUNT(*) as total');
+  });
+
+  it('should continue after the cursor', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    await request(app)
+      .get(`/api/feed?cursor=${encodeCursor('newest', ['2025-01-02T00:00:00+00:00', 7])}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(pool.query.mock.calls[0][0]).toContain('(j.created_at, j.id) < ($2::timestamptz, $3::bigint)');
+    expect(pool.query.mock.calls[0][1]).toEqual([1, '2025-01-02T00:00:00+00:00', 7, 11]);
+  });
+
+  it('should reject a cursor of another sort', async () => {
+    await request(app)
+      .get(`/api/feed?cursor=${encodeCursor('popular', [5, 10, 7])}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(400);
+
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,145 @@
+const request = require('supertest');
+const express = require('express');
+const healthRouter = require('../routes/health');
+const { loadMigrations } = require('../migrate');
+const { errorHandler } = require('../middleware/errorHandler');
+const { validateRequest, validateResponses } = require('../middleware/openapi');
+
+jest.mock('../config/db', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+const { pool } = require('../config/db');
+
+// schema_migrations rows for the files in migrations/.
+const appliedRows = (migrations) => migrations.map(({ version, name, checksum }) => ({
+  version, name, checksum, applied_at: '2025-01-01T00:00:00Z',
+}));
+
+describe('Health Routes', () => {
+  let app;
+  const migrations = loadMigrations();
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use(validateResponses);
+    app.use(validateRequest);
+    app.use('/health', healthRouter);
+    app.use(errorHandler);
+    pool.query.mockReset();
+    pool.connect.mockReset();
+  });
+
+  describe('GET /health', () => {
+    it('should report a reachable database', async () => {
+      const release = jest.fn();
+      pool.connect.mockResolvedValueOnce({ release });
+
+      const response = await request(app)
+        .get('/health')
+        .expect(200);
+
+      expect(response.body.database).toBe('connected');
+      expect(release).toHaveBeenCalled();
+    });
+
+    it('should not send the database error to the client', async () => {
+      pool.connect.mockRejectedValueOnce(new Error('password authentication failed for user "jokes_app"'));
+
+      const response = await request(app)
+        .get('/health')
+        .expect(500);
+
+      expect(response.body).toEqual({ status: 'ERROR', database: 'disconnected' });
+    });
+  });
+
+  describe('GET /health/live', () => {
+    it('should answer without touching the database', async () => {
+      const response = await request(app)
+        .get('/health/live')
+        .expect(200);
+
+      expect(response.body).toEqual({ status: 'OK' });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /health/ready', () => {
+    it('should be ready when every migration is applied', async () => {
+      pool.query.mockResolvedValueOnce({ rows: appliedRows(migrations) });
+
+      const response = await request(app)
+        .get('/health/ready')
+        .expect(200);
+
+      expect(response.body).toEqual({ status: 'OK', database: 'connected', pending_migrations: [] });
+      expect(pool.query.mock.calls[0][0]).toContain('FROM schema_migrations');
+    });
+
+    it('should not be ready while migrations are pending', async () => {
+      pool.query.mockResolvedValueOnce({ rows: appliedRows(migrations.slice(0, -1)) });
+
+      const response = await request(app)
+        .get('/health/ready')
+        .expect(503);
+
+      expect(response.body).toEqual({
+        status: 'ERROR',
+        database: 'connected',
+        pending_migrations: [migrations[migrations.length - 1].file],
+      });
+    });
+
+    it('should stay ready when the database is ahead of this code', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [
+          ...appliedRows(migrations),
+          { version: '999', name: 'next-release', checksum: 'x'.repeat(64), applied_at: '2025-01-02T00:00:00Z' },
+        ],
+      });
+
+      await request(app)
+        .get('/health/ready')
+        .expect(200);
+    });
+
+    it('should count every migration as pending before the first one ran', async () => {
+      const error = new Error('relation "schema_migrations" does not exist');
+      error.code = '42P01';
+      pool.query.mockRejectedValueOnce(error);
+
+      const response = await request(app)
+        .get('/health/ready')
+        .expect(503);
+
+      expect(response.body.database).toBe('connected');
+      expect(response.body.pending_migrations).toHaveLength(migrations.length);
+    });
+
+    it('should not be ready without a database', async () => {
+      pool.query.mockRejectedValueOnce(new Error('connect ECONNREFUSED 127.0.0.1:5432'));
+
+      const response = await request(app)
+        .get('/health/ready')
+        .expect(503);
+
+      expect(response.body).toEqual({ status: 'ERROR', database: 'disconnected' });
+    });
+
+    it('should not be ready once the server is shutting down', async () => {
+      app.locals.shuttingDown = true;
+
+      const response = await request(app)
+        .get('/health/ready')
+        .expect(503);
+
+      expect(response.body).toEqual({ status: 'SHUTTING_DOWN' });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+});
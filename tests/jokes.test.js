@@ -2,10 +2,16 @@ const request = require('supertest');
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const jokesRouter = require('../routes/jokes');
+const rateLimitStore = require('../services/rateLimit');
+const { pendingViews } = require('../services/viewCounter');
+const { register, jokesCreated } = require('../services/metrics');
+const { errorHandler } = require('../middleware/errorHandler');
+const { validateRequest, validateResponses } = require('../middleware/openapi');
 
 jest.mock('../config/db', () => ({
   pool: {
     query: jest.fn(),
+    connect: jest.fn(),
   },
 }));
 
@@ -27,6 +33,21 @@ jest.mock('../middleware/auth', () => {
   };
 });
 
+jest.mock('../middleware/optionalAuth', () => {
+  return (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const jwtLocal = require('jsonwebtoken');
+        req.user = jwtLocal.verify(authHeader.slice(7), process.env.JWT_SECRET);
+      } catch (error) {
+        req.user = undefined;
+      }
+    }
+    next();
+  };
+});
+
 const { pool } = require('../config/db');
 
 process.env.JWT_SECRET = 'test-secret-key';
@@ -38,8 +59,13 @@ describe('Jokes Routes', () => {
   beforeEach(() => {
     app = express();
     app.use(express.json());
+    app.use(validateResponses);
+    app.use(validateRequest);
     app.use('/api/jokes', jokesRouter);
+    app.use(errorHandler);
     jest.clearAllMocks();
+    register.resetMetrics();
+    rateLimitStore.setStore(rateLimitStore.createStore('memory'));
     authToken = jwt.sign({ id: 1 }, process.env.JWT_SECRET);
   });
 
@@ -53,7 +79,7 @@ describe('Jokes Routes', () => {
           language: 'en',
           author_name: 'user1',
           favorites_count: 5,
-          created_at: '2025-01-01',
+          created_at: '2025-01-01T00:00:00.000Z',
         },
       ];
 
@@ -129,9 +155,43 @@ describe('Jokes Routes', () => {
       expect(response.body.success).toBe(true);
     });
 
+    it('should sort jokes by precomputed hot score', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      await request(app)
+        .get('/api/jokes/?sort=hot')
+        .expect(200);
+
+      const [sql] = pool.query.mock.calls[0];
+      expect(sql).toContain('LEFT JOIN joke_rankings r ON r.joke_id = j.id');
+      expect(sql).toContain('ORDER BY COALESCE(r.hot, 0) DESC, j.id DESC');
+    });
+
+    it('should sort trending jokes by the requested window', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] });
+
+      await request(app)
+        .get('/api/jokes/?sort=trending&window=month')
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][0]).toContain('ORDER BY COALESCE(r.trending_month, 0) DESC');
+    });
+
+    it('should reject an unknown trending window', async () => {
+      const response = await request(app)
+        .get('/api/jokes/?sort=trending&window=year')
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid window');
+    });
+
     it('should sort jokes by oldest', async () => {
       pool.query
-        .mockResolvedValueOnce({ rows: [{ id: 1, created_at: '2020-01-01' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, created_at: '2020-01-01T00:00:00.000Z' }] })
         .mockResolvedValueOnce({ rows: [{ total: '1' }] });
 
       const response = await request(app)
@@ -141,6 +201,86 @@ describe('Jokes Routes', () => {
       expect(response.body.success).toBe(true);
     });
 
+    it('should filter jokes by tags matching all of them', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, tags: ['IT', 'work'] }] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      const response = await request(app)
+        .get('/api/jokes/?tag=IT,Work&tag_mode=all')
+        .expect(200);
+
+      expect(response.body.data.items[0].tags).toEqual(['IT', 'work']);
+      expect(pool.query.mock.calls[0][0]).toContain('cardinality($1::text[])');
+      expect(pool.query.mock.calls[1][1]).toEqual([['it', 'work']]);
+    });
+
+    it('should reject an unknown tag mode', async () => {
+      const response = await request(app)
+        .get('/api/jokes/?tag=IT&tag_mode=some')
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid tag_mode');
+    });
+
+    it('should search jokes and sort them by relevance', async () => {
+      pool.query
+        .mockResolvedValueOnce({
+          rows: [{ id: 4, rank: 0.6, snippet: 'про <mark>гвозди</mark>' }],
+        })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      const response = await request(app)
+        .get('/api/jokes/?q=гвоздь')
+        .expect(200);
+
+      expect(response.body.data.items[0].snippet).toContain('<mark>');
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain("websearch_to_tsquery('russian', $1)");
+      expect(sql).toContain("websearch_to_tsquery('english', $1)");
+      expect(sql).toMatch(/ORDER BY ts_rank\(/);
+      expect(params[0]).toBe('гвоздь');
+    });
+
+    it('should escape the joke text before highlighting it', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] });
+
+      await request(app)
+        .get('/api/jokes/?q=script')
+        .expect(200);
+
+      const [sql] = pool.query.mock.calls[0];
+      expect(sql).toContain("ts_headline(joke_search_config(j.language), replace(replace(replace(replace(replace(j.body, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '\"', '&quot;'), '''', '&#39;')");
+      expect(sql).toContain("replace(COALESCE(j.title, ''), '&', '&amp;')");
+    });
+
+    it('should use the configuration of the requested language', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] });
+
+      await request(app)
+        .get('/api/jokes/?q=nails&language=en&sort=newest')
+        .expect(200);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain("websearch_to_tsquery('english', $2)");
+      expect(sql).not.toContain("'russian'");
+      expect(sql).toContain('ORDER BY j.created_at DESC');
+      expect(pool.query.mock.calls[1][1]).toEqual(['en', 'nails']);
+      expect(params.length).toBe(4);
+    });
+
+    it('should reject a search query that is too long', async () => {
+      const response = await request(app)
+        .get(`/api/jokes/?q=${'a'.repeat(201)}`)
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid q');
+    });
+
     it('should handle custom pagination', async () => {
       pool.query
         .mockResolvedValueOnce({ rows: [] })
@@ -153,6 +293,138 @@ describe('Jokes Routes', () => {
       expect(response.body.data.pagination.page).toBe(2);
       expect(response.body.data.pagination.limit).toBe(20);
     });
+
+    describe('cursor mode', () => {
+      const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+      it('should return the first page with a next cursor and no count', async () => {
+        pool.query.mockResolvedValueOnce({
+          rows: [
+            { id: 3, cursor_key: ['2025-01-03T10:00:00.123456+00:00', 3] },
+            { id: 2, cursor_key: ['2025-01-02T10:00:00+00:00', 2] },
+            { id: 1, cursor_key: ['2025-01-01T10:00:00+00:00', 1] },
+          ],
+        });
+
+        const response = await request(app)
+          .get('/api/jokes/?cursor=&limit=2')
+          .expect(200);
+
+        const { items, pagination } = response.body.data;
+        expect(items.map((joke) => joke.id)).toEqual([3, 2]);
+        expect(items[0].cursor_key).toBeUndefined();
+        expect(pagination.hasNext).toBe(true);
+        expect(pagination.total).toBeUndefined();
+        expect(JSON.parse(Buffer.from(pagination.next_cursor, 'base64url').toString())).toEqual({
+          sort: 'newest',
+          key: ['2025-01-02T10:00:00+00:00', 2],
+        });
+        expect(pool.query).toHaveBeenCalledTimes(1);
+        expect(pool.query.mock.calls[0][0]).toContain('ORDER BY j.created_at DESC, j.id DESC');
+        expect(pool.query.mock.calls[0][1]).toEqual([3]);
+      });
+
+      it('should continue after the cursor', async () => {
+        pool.query.mockResolvedValueOnce({ rows: [{ id: 1, cursor_key: [1, 10, 1] }] });
+
+        const cursor = encode({ sort: 'popular', key: [5, 100, 2] });
+        const response = await request(app)
+          .get(`/api/jokes/?sort=popular&language=en&cursor=${cursor}`)
+          .expect(200);
+
+        expect(response.body.data.pagination.hasNext).toBe(false);
+        expect(response.body.data.pagination.next_cursor).toBeNull();
+        const [sql, params] = pool.query.mock.calls[0];
+        expect(sql).toContain('(j.score, j.views, j.id) < ($2::int, $3::bigint, $4::bigint)');
+        expect(sql).toContain('ORDER BY j.score DESC, j.views DESC, j.id DESC');
+        expect(params).toEqual(['en', 5, 100, 2, 11]);
+      });
+
+      it('should page forwards for the oldest sort', async () => {
+        pool.query.mockResolvedValueOnce({ rows: [] });
+
+        const cursor = encode({ sort: 'oldest', key: ['2025-01-01T10:00:00+00:00', 1] });
+        await request(app)
+          .get(`/api/jokes/?sort=oldest&cursor=${cursor}`)
+          .expect(200);
+
+        expect(pool.query.mock.calls[0][0]).toContain('(j.created_at, j.id) > ($1::timestamptz, $2::bigint)');
+      });
+
+      it('should add an exact or estimated total on request', async () => {
+        pool.query
+          .mockResolvedValueOnce({ rows: [] })
+          .mockResolvedValueOnce({ rows: [{ total: '42' }] })
+          .mockResolvedValueOnce({ rows: [] })
+          .mockResolvedValueOnce({ rows: [{ 'QUERY PLAN': [{ Plan: { 'Plan Rows': 40 } }] }] });
+
+        const exact = await request(app)
+          .get('/api/jokes/?cursor=&total=exact')
+          .expect(200);
+        const estimated = await request(app)
+          .get('/api/jokes/?cursor=&total=estimate')
+          .expect(200);
+
+        expect(exact.body.data.pagination.total).toBe(42);
+        expect(estimated.body.data.pagination.estimatedTotal).toBe(40);
+        expect(pool.query.mock.calls[3][0]).toContain('EXPLAIN (FORMAT JSON)');
+      });
+
+      it('should reject a cursor issued for another sort', async () => {
+        const cursor = encode({ sort: 'newest', key: ['2025-01-01T10:00:00+00:00', 1] });
+
+        const response = await request(app)
+          .get(`/api/jokes/?sort=popular&cursor=${cursor}`)
+          .expect(400);
+
+        expect(response.body.error.message).toBe('Invalid cursor');
+        expect(pool.query).not.toHaveBeenCalled();
+      });
+
+      it('should reject a malformed cursor', async () => {
+        await request(app)
+          .get('/api/jokes/?cursor=not-a-cursor')
+          .expect(400);
+
+        await request(app)
+          .get(`/api/jokes/?cursor=${encode({ sort: 'newest', key: ['yesterday', 'x'] })}`)
+          .expect(400);
+
+        expect(pool.query).not.toHaveBeenCalled();
+      });
+
+      it('should page through trending jokes of a window', async () => {
+        pool.query.mockResolvedValueOnce({ rows: [{ id: 9, cursor_key: [0.25, 9] }, { id: 4, cursor_key: [0.1, 4] }] });
+
+        const cursor = encode({ sort: 'trending:week', key: [1.5, 12] });
+        const response = await request(app)
+          .get(`/api/jokes/?sort=trending&window=week&limit=1&cursor=${cursor}`)
+          .expect(200);
+
+        const [sql, params] = pool.query.mock.calls[0];
+        expect(sql).toContain('LEFT JOIN joke_rankings r ON r.joke_id = j.id');
+        expect(sql).toContain('(COALESCE(r.trending_week, 0), j.id) < ($1::float8, $2::bigint)');
+        expect(params).toEqual([1.5, 12, 2]);
+        expect(JSON.parse(Buffer.from(response.body.data.pagination.next_cursor, 'base64url').toString()))
+          .toEqual({ sort: 'trending:week', key: [0.25, 9] });
+      });
+
+      it('should reject a trending cursor from another window', async () => {
+        const cursor = encode({ sort: 'trending:day', key: [1.5, 12] });
+
+        await request(app)
+          .get(`/api/jokes/?sort=trending&window=month&cursor=${cursor}`)
+          .expect(400);
+      });
+
+      it('should reject sorts without a stable key', async () => {
+        const response = await request(app)
+          .get('/api/jokes/?sort=random&cursor=')
+          .expect(400);
+
+        expect(response.body.error.message).toBe('Invalid sort');
+      });
+    });
   });
 
   describe('GET /api/jokes/random', () => {
@@ -167,8 +439,7 @@ describe('Jokes Routes', () => {
       };
 
       pool.query
-        .mockResolvedValueOnce({ rows: [randomJoke] })
-        .mockResolvedValueOnce({ rows: [{ affected: 1 }] });
+        .mockResolvedValueOnce({ rows: [randomJoke] });
 
       const response = await request(app)
         .get('/api/jokes/random')
@@ -187,8 +458,7 @@ describe('Jokes Routes', () => {
       };
 
       pool.query
-        .mockResolvedValueOnce({ rows: [randomJoke] })
-        .mockResolvedValueOnce({ rows: [{ affected: 1 }] });
+        .mockResolvedValueOnce({ rows: [randomJoke] });
 
       const response = await request(app)
         .get('/api/jokes/random?language=ru')
@@ -197,6 +467,18 @@ describe('Jokes Routes', () => {
       expect(response.body.data.language).toBe('ru');
     });
 
+    it('should get random joke with any of the given tags', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 7, tags: ['school'] }] });
+
+      await request(app)
+        .get('/api/jokes/random?tag=school&tag=IT')
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][0]).toContain('> 0');
+      expect(pool.query.mock.calls[0][1]).toEqual([['school', 'it']]);
+    });
+
     it('should return 404 when no jokes found', async () => {
       pool.query.mockResolvedValueOnce({ rows: [] });
 
@@ -204,7 +486,97 @@ describe('Jokes Routes', () => {
         .get('/api/jokes/random')
         .expect(404);
 
-      expect(response.body.error).toBe('No jokes found');
+      expect(response.body.error.message).toBe('No jokes found');
+    });
+  });
+
+  describe('GET /api/jokes/daily', () => {
+    const today = () => new Date().toISOString().slice(0, 10);
+
+    it("should return today's pick without picking again", async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 8, day: today() }] });
+
+      const response = await request(app)
+        .get('/api/jokes/daily')
+        .expect(200);
+
+      expect(response.body.data.id).toBe(8);
+      expect(response.body.data.day).toBe(today());
+      expect(pool.query).toHaveBeenCalledTimes(1);
+      expect(pool.query.mock.calls[0][1]).toEqual([today(), 'all']);
+    });
+
+    it('should pick a joke for the language on the first request of the day', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 5, language: 'en', day: today() }] });
+
+      const response = await request(app)
+        .get('/api/jokes/daily?language=en')
+        .expect(200);
+
+      expect(response.body.data.id).toBe(5);
+      const [sql, params] = pool.query.mock.calls[1];
+      expect(sql).toContain('INSERT INTO daily_jokes');
+      expect(sql).toContain('ON CONFLICT (day, language)');
+      expect(params).toEqual([today(), 'en', 365, 1]);
+      expect(pool.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should bring back the joke shown longest ago once every joke was shown', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rowCount: 0 })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 3, language: 'en', day: today() }] });
+
+      const response = await request(app)
+        .get('/api/jokes/daily?language=en')
+        .expect(200);
+
+      expect(response.body.data.id).toBe(3);
+      const [sql, params] = pool.query.mock.calls[2];
+      expect(sql).toContain('INSERT INTO daily_jokes');
+      expect(sql).not.toContain('shown.day > $1::date');
+      expect(sql).toMatch(/ORDER BY \(SELECT MAX\(shown\.day\)[^)]*\) ASC NULLS FIRST/);
+      expect(params).toEqual([today(), 'en', 1]);
+    });
+
+    it('should return 404 when there is nothing to pick', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rowCount: 0 })
+        .mockResolvedValueOnce({ rowCount: 0 })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/jokes/daily')
+        .expect(404);
+
+      expect(response.body.error.message).toBe('No jokes found');
+    });
+
+    it('should list past jokes of the day', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, day: today() }, { id: 3, day: '2025-01-01' }] })
+        .mockResolvedValueOnce({ rows: [{ total: '2' }] });
+
+      const response = await request(app)
+        .get('/api/jokes/daily/history?language=ru')
+        .expect(200);
+
+      expect(response.body.data.items.length).toBe(2);
+      expect(response.body.data.pagination.total).toBe(2);
+      expect(pool.query.mock.calls[0][0]).toContain('ORDER BY dj.day DESC');
+      expect(pool.query.mock.calls[0][1]).toEqual(['ru', today(), 10, 0]);
+      expect(pool.query.mock.calls[1][1]).toEqual(['ru', today()]);
+    });
+
+    it('should reject an invalid language', async () => {
+      await request(app)
+        .get(`/api/jokes/daily?language=${'x'.repeat(11)}`)
+        .expect(400);
     });
   });
 
@@ -217,12 +589,11 @@ describe('Jokes Routes', () => {
         language: 'en',
         author_name: 'user1',
         favorites_count: 5,
-        created_at: '2025-01-01',
+        created_at: '2025-01-01T00:00:00.000Z',
       };
 
       pool.query
-        .mockResolvedValueOnce({ rows: [joke] })
-        .mockResolvedValueOnce({ rows: [{ affected: 1 }] });
+        .mockResolvedValueOnce({ rows: [joke] });
 
       const response = await request(app)
         .get('/api/jokes/1')
@@ -240,7 +611,7 @@ describe('Jokes Routes', () => {
         .get('/api/jokes/999')
         .expect(404);
 
-      expect(response.body.error).toBe('Joke not found');
+      expect(response.body.error.message).toBe('Joke not found');
     });
 
     it('should return 400 for invalid ID', async () => {
@@ -248,7 +619,65 @@ describe('Jokes Routes', () => {
         .get('/api/jokes/invalid')
         .expect(400);
 
-      expect(response.body.error).toBe('Invalid ID');
+      expect(response.body.error.message).toBe('Invalid id');
+    });
+
+    it('should hide a hidden joke from other users', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{ id: 1, author_id: 999, hidden_at: '2025-01-01T00:00:00.000Z' }],
+      });
+
+      const response = await request(app)
+        .get('/api/jokes/1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Joke not found');
+    });
+
+    it('should show a hidden joke to its author', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, author_id: 1, hidden_at: '2025-01-01T00:00:00.000Z' }] });
+
+      await request(app)
+        .get('/api/jokes/1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+    });
+
+    it("should include the caller's vote when a token is sent", async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, score: 3, my_vote: 1 }] });
+
+      const response = await request(app)
+        .get('/api/jokes/1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.my_vote).toBe(1);
+      expect(pool.query.mock.calls[0][0]).toContain('as my_vote');
+      expect(pool.query.mock.calls[0][1]).toEqual(['1', 1]);
+    });
+
+    it('should count one view per viewer without writing on the read', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 42 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 42 }] });
+
+      await request(app).get('/api/jokes/42').expect(200);
+      await request(app).get('/api/jokes/42').expect(200);
+
+      expect(pendingViews().get('42')).toBe(1);
+      expect(pool.query).toHaveBeenCalledTimes(2);
+      expect(pool.query.mock.calls.some(([sql]) => sql.includes('views = views'))).toBe(false);
+    });
+
+    it('should not count a view with track=false', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 43 }] });
+
+      await request(app).get('/api/jokes/43?track=false').expect(200);
+
+      expect(pendingViews().has('43')).toBe(false);
     });
   });
 
@@ -267,7 +696,7 @@ describe('Jokes Routes', () => {
             title: 'New Joke',
             body: 'This is a new joke',
             language: 'en',
-            created_at: '2025-01-15',
+            created_at: '2025-01-15T00:00:00.000Z',
           },
         ],
       });
@@ -280,6 +709,60 @@ describe('Jokes Routes', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body.data.title).toBe('New Joke');
+      expect((await jokesCreated.get()).values[0].value).toBe(1);
+    });
+
+    it('should create a joke with deduplicated tags', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{ id: 11, title: 'Tagged', body: 'Body', tags: ['IT'] }],
+      });
+
+      const response = await request(app)
+        .post('/api/jokes/')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Tagged', body: 'Body', tags: [' IT', 'it'] })
+        .expect(201);
+
+      expect(response.body.data.tags).toEqual(['IT']);
+      expect(pool.query.mock.calls[0][1][4]).toEqual(['IT']);
+    });
+
+    it('should reject tags that are not strings', async () => {
+      const response = await request(app)
+        .post('/api/jokes/')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Title', body: 'Body', tags: [42] })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid tags');
+    });
+
+    it('should reject more than 10 tags', async () => {
+      const tags = Array.from({ length: 11 }, (_, i) => `tag${i}`);
+      const response = await request(app)
+        .post('/api/jokes/')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Title', body: 'Body', tags })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid tags');
+    });
+
+    it('should reject unverified users when verification is required', async () => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+      pool.query.mockResolvedValueOnce({ rows: [{ email_verified_at: null }] });
+
+      try {
+        const response = await request(app)
+          .post('/api/jokes/')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ title: 'Title', body: 'Body' })
+          .expect(403);
+
+        expect(response.body.error.message).toBe('Email not verified');
+      } finally {
+        delete process.env.REQUIRE_EMAIL_VERIFICATION;
+      }
     });
 
     it('should reject joke creation without auth', async () => {
@@ -298,7 +781,7 @@ describe('Jokes Routes', () => {
         .send({ title: 'Title', body: '' })
         .expect(400);
 
-      expect(response.body.error).toBe('Missing required field');
+      expect(response.body.error.message).toBe('Invalid body');
     });
 
     it('should reject joke body longer than 5000 characters', async () => {
@@ -309,7 +792,7 @@ describe('Jokes Routes', () => {
         .send({ title: 'Title', body: longBody })
         .expect(400);
 
-      expect(response.body.error).toBe('Joke too long');
+      expect(response.body.error.message).toBe('Invalid body');
     });
 
     it('should reject title longer than 200 characters', async () => {
@@ -320,7 +803,26 @@ describe('Jokes Routes', () => {
         .send({ title: longTitle, body: 'Body' })
         .expect(400);
 
-      expect(response.body.error).toBe('Title too long');
+      expect(response.body.error.message).toBe('Invalid title');
+      expect(response.body.error.fields).toEqual([
+        { location: 'body', field: 'title', message: 'must NOT have more than 200 characters' },
+      ]);
+    });
+
+    it('should reject an unknown language and list every invalid field', async () => {
+      const response = await request(app)
+        .post('/api/jokes/')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: '   ', language: 'Klingon', tags: ['ok', ' '] })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_FAILED');
+      expect(response.body.error.fields).toEqual([
+        { location: 'body', field: 'body', message: 'must not be blank' },
+        { location: 'body', field: 'language', message: 'must be a language code such as "ru" or "en"' },
+        { location: 'body', field: 'tags.1', message: 'must not be blank' },
+      ]);
+      expect(pool.query).not.toHaveBeenCalled();
     });
   });
 
@@ -335,7 +837,7 @@ describe('Jokes Routes', () => {
               title: 'Updated Title',
               body: 'Updated body',
               language: 'en',
-              updated_at: '2025-01-15',
+              updated_at: '2025-01-15T00:00:00.000Z',
             },
           ],
         });
@@ -350,6 +852,37 @@ describe('Jokes Routes', () => {
       expect(response.body.data.title).toBe('Updated Title');
     });
 
+    it('should replace tags when only tags are sent', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, author_id: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, tags: ['new'] }] });
+
+      const response = await request(app)
+        .patch('/api/jokes/1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ tags: ['new'] })
+        .expect(200);
+
+      expect(response.body.data.tags).toEqual(['new']);
+      expect(pool.query.mock.calls[1][0]).toContain('new_tags AS');
+      expect(pool.query.mock.calls[1][1]).toEqual(['1', ['new']]);
+    });
+
+    it('should let a moderator update any joke', async () => {
+      const moderatorToken = jwt.sign({ id: 2, role: 'moderator' }, process.env.JWT_SECRET);
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, author_id: 999 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, title: 'Cleaned up' }] });
+
+      const response = await request(app)
+        .patch('/api/jokes/1')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ title: 'Cleaned up' })
+        .expect(200);
+
+      expect(response.body.data.title).toBe('Cleaned up');
+    });
+
     it('should reject update by non-author', async () => {
       pool.query.mockResolvedValueOnce({
         rows: [{ id: 1, author_id: 999 }],
@@ -361,7 +894,7 @@ describe('Jokes Routes', () => {
         .send({ title: 'Updated Title' })
         .expect(403);
 
-      expect(response.body.error).toBe('Forbidden');
+      expect(response.body.error.message).toBe('Forbidden');
     });
 
     it('should return 404 for non-existent joke', async () => {
@@ -373,7 +906,7 @@ describe('Jokes Routes', () => {
         .send({ title: 'Updated' })
         .expect(404);
 
-      expect(response.body.error).toBe('Joke not found');
+      expect(response.body.error.message).toBe('Joke not found');
     });
 
     it('should reject update with no fields', async () => {
@@ -383,7 +916,7 @@ describe('Jokes Routes', () => {
         .send({})
         .expect(400);
 
-      expect(response.body.error).toBe('No fields to update');
+      expect(response.body.error.message).toBe('No fields to update');
     });
 
     it('should reject update with empty body', async () => {
@@ -393,7 +926,7 @@ describe('Jokes Routes', () => {
         .send({ body: '   ' })
         .expect(400);
 
-      expect(response.body.error).toBe('Invalid body');
+      expect(response.body.error.message).toBe('Invalid body');
     });
 
     it('should return 400 for invalid ID', async () => {
@@ -403,7 +936,18 @@ describe('Jokes Routes', () => {
         .send({ title: 'Updated' })
         .expect(400);
 
-      expect(response.body.error).toBe('Invalid ID');
+      expect(response.body.error.message).toBe('Invalid id');
+    });
+
+    it('should reject a title longer than 200 characters', async () => {
+      const response = await request(app)
+        .patch('/api/jokes/1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'a'.repeat(201) })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid title');
+      expect(pool.query).not.toHaveBeenCalled();
     });
   });
 
@@ -419,6 +963,10 @@ describe('Jokes Routes', () => {
         .expect(204);
 
       expect(response.status).toBe(204);
+      expect(pool.query).toHaveBeenLastCalledWith(
+        'UPDATE jokes SET deleted_at = NOW() WHERE id = $1',
+        ['1']
+      );
     });
 
     it('should reject deletion by non-author', async () => {
@@ -431,7 +979,7 @@ describe('Jokes Routes', () => {
         .set('Authorization', `Bearer ${authToken}`)
         .expect(403);
 
-      expect(response.body.error).toBe('Forbidden');
+      expect(response.body.error.message).toBe('Forbidden');
     });
 
     it('should return 404 for non-existent joke', async () => {
@@ -442,7 +990,7 @@ describe('Jokes Routes', () => {
         .set('Authorization', `Bearer ${authToken}`)
         .expect(404);
 
-      expect(response.body.error).toBe('Joke not found');
+      expect(response.body.error.message).toBe('Joke not found');
     });
 
     it('should return 400 for invalid ID', async () => {
@@ -451,7 +999,294 @@ describe('Jokes Routes', () => {
         .set('Authorization', `Bearer ${authToken}`)
         .expect(400);
 
-      expect(response.body.error).toBe('Invalid ID');
+      expect(response.body.error.message).toBe('Invalid id');
+    });
+  });
+
+  describe('POST /api/jokes/:id/vote', () => {
+    let client;
+
+    beforeEach(() => {
+      client = { query: jest.fn(), release: jest.fn() };
+      pool.connect.mockResolvedValue(client);
+    });
+
+    it('should save a vote and return the new score', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 1, score: 4 }] })
+        .mockResolvedValueOnce({});
+
+      const response = await request(app)
+        .post('/api/jokes/1/vote')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ value: 1 })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toEqual({ id: 1, score: 4, my_vote: 1 });
+      expect(client.query.mock.calls[2][0]).toContain('INSERT INTO notifications');
+      expect(client.query.mock.calls[2][1]).toEqual([1, '1', 1]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should reject an invalid vote value', async () => {
+      const response = await request(app)
+        .post('/api/jokes/1/vote')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ value: 2 })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid value');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for non-existent joke', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({});
+
+      const response = await request(app)
+        .post('/api/jokes/999/vote')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ value: -1 })
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Joke not found');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should roll back on database error', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('Database error'))
+        .mockResolvedValueOnce({});
+
+      const response = await request(app)
+        .post('/api/jokes/1/vote')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ value: 1 })
+        .expect(500);
+
+      expect(response.body.error.code).toBe('INTERNAL_ERROR');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
     });
   });
-});
\ No newline at end of file
+
+  describe('DELETE /api/jokes/:id/vote', () => {
+    it('should remove the vote and return the new score', async () => {
+      const client = { query: jest.fn(), release: jest.fn() };
+      pool.connect.mockResolvedValue(client);
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 1, score: 2 }] })
+        .mockResolvedValueOnce({});
+
+      const response = await request(app)
+        .delete('/api/jokes/1/vote')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ id: 1, score: 2, my_vote: null });
+      expect(client.query).toHaveBeenCalledWith(
+        'DELETE FROM votes WHERE user_id = $1 AND joke_id = $2',
+        [1, '1']
+      );
+    });
+  });
+
+  describe('GET /api/jokes/trash', () => {
+    it("should list the caller's deleted jokes", async () => {
+      pool.query
+        .mockResolvedValueOnce({
+          rows: [{ id: 3, deleted_at: '2025-01-10T00:00:00.000Z', purge_at: '2025-02-09T00:00:00.000Z' }],
+        })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      const response = await request(app)
+        .get('/api/jokes/trash')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.items[0].purge_at).toBe('2025-02-09T00:00:00.000Z');
+      expect(response.body.data.pagination.total).toBe(1);
+      expect(pool.query.mock.calls[0][1]).toEqual([1, 30, 10, 0]);
+      expect(pool.query.mock.calls[0][0]).toContain('j.deleted_by IS NULL');
+      expect(pool.query.mock.calls[1][0]).toContain('deleted_by IS NULL');
+    });
+
+    it('should reject trash listing without auth', async () => {
+      await request(app)
+        .get('/api/jokes/trash')
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/jokes/:id/restore', () => {
+    it('should restore a deleted joke', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ author_id: 1, deleted_at: '2025-01-10T00:00:00.000Z', deleted_by: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, title: 'Back' }] });
+
+      const response = await request(app)
+        .post('/api/jokes/3/restore')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.id).toBe(3);
+    });
+
+    it('should reject restoring a joke that is not deleted', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ author_id: 1, deleted_at: null }] });
+
+      const response = await request(app)
+        .post('/api/jokes/3/restore')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Joke not deleted');
+    });
+
+    it('should reject restoring a joke deleted by a moderator', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ author_id: 1, deleted_at: '2025-01-10T00:00:00.000Z', deleted_by: 2 }] });
+
+      const response = await request(app)
+        .post('/api/jokes/3/restore')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('DELETED_BY_MODERATOR');
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject restore by non-author', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ author_id: 999, deleted_at: '2025-01-10T00:00:00.000Z' }] });
+
+      const response = await request(app)
+        .post('/api/jokes/3/restore')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      expect(response.body.error.message).toBe('Forbidden');
+    });
+  });
+
+  describe('POST /api/jokes/:id/hide', () => {
+    it('should let a moderator hide a joke', async () => {
+      const moderatorToken = jwt.sign({ id: 2, role: 'moderator' }, process.env.JWT_SECRET);
+      pool.query.mockResolvedValueOnce({
+        rows: [{ id: 1, hidden_at: '2025-01-01T00:00:00.000Z', hidden_by: 2, hide_reason: 'offensive' }],
+      });
+
+      const response = await request(app)
+        .post('/api/jokes/1/hide')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ reason: 'offensive' })
+        .expect(200);
+
+      expect(response.body.data.hidden_by).toBe(2);
+      expect(pool.query.mock.calls[0][0]).toContain('INSERT INTO moderation_actions');
+      expect(pool.query.mock.calls[0][1]).toEqual(['1', 2, 'offensive', 'hide']);
+    });
+
+    it('should reject regular users', async () => {
+      const response = await request(app)
+        .post('/api/jokes/1/hide')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      expect(response.body.error.message).toBe('Forbidden');
+    });
+  });
+
+  describe('POST /api/jokes/:id/unhide', () => {
+    it('should let an admin unhide a joke', async () => {
+      const adminToken = jwt.sign({ id: 3, role: 'admin' }, process.env.JWT_SECRET);
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 1, hidden_at: null }] });
+
+      const response = await request(app)
+        .post('/api/jokes/1/unhide')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.hidden_at).toBeNull();
+    });
+  });
+
+  describe('POST /api/jokes/:id/report', () => {
+    it('should report a joke', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ author_id: 2 }] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 7, joke_id: 1, reason: 'spam', comment: null, status: 'open' }],
+        })
+        .mockResolvedValueOnce({ rows: [{ reporters: 1, hidden: false }] });
+
+      const response = await request(app)
+        .post('/api/jokes/1/report')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reason: 'spam' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.status).toBe('open');
+      expect(pool.query.mock.calls[1][1]).toEqual(['1', 1, 'spam', null]);
+      expect(pool.query.mock.calls[2][1]).toEqual(['1', 5, 'Automatically hidden after 5 reports']);
+    });
+
+    it('should return 409 when the user already has an open report', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ author_id: 2 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/jokes/1/report')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reason: 'offensive', comment: 'Not funny at all' })
+        .expect(409);
+
+      expect(response.body.error.message).toBe('Already reported');
+      expect(pool.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject an unknown reason', async () => {
+      const response = await request(app)
+        .post('/api/jokes/1/report')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reason: 'boring' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid reason');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should not let authors report their own jokes', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ author_id: 1 }] });
+
+      const response = await request(app)
+        .post('/api/jokes/1/report')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reason: 'duplicate' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid report');
+    });
+
+    it('should return 404 for a missing or hidden joke', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post('/api/jokes/999/report')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reason: 'spam' })
+        .expect(404);
+    });
+  });
+});
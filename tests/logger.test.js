@@ -0,0 +1,166 @@
+const request = require('supertest');
+const express = require('express');
+
+const mockHttpLogger = { info: jest.fn(), warn: jest.fn() };
+
+jest.mock('../config/logger', () => ({
+  ...jest.requireActual('../config/logger'),
+  getLogger: () => mockHttpLogger,
+}));
+
+const {
+  redact, redactUrl, formatJson, formatText, currentRequestId,
+} = require('../config/logger');
+const requestLogger = require('../middleware/requestLogger');
+
+const JWT = 'eyJhbGciOiJIUzI1NiJ9.eyJpZCI6MX0.c2lnbmF0dXJl';
+
+const logEvent = (data, requestId) => ({
+  startTime: new Date('2025-01-01T00:00:00.000Z'),
+  level: { levelStr: 'INFO' },
+  categoryName: 'auth',
+  data,
+  context: { requestId },
+});
+
+describe('Logger', () => {
+  describe('redact', () => {
+    it('should hide secret keys at any depth', () => {
+      expect(redact({
+        username: 'testuser',
+        password: 'hunter22',
+        session: { refresh_token: 'abc', password_hash: '$2a$10$xyz' },
+        headers: { Authorization: `Bearer ${JWT}` },
+      })).toEqual({
+        username: 'testuser',
+        password: '[REDACTED]',
+        session: { refresh_token: '[REDACTED]', password_hash: '[REDACTED]' },
+        headers: { Authorization: '[REDACTED]' },
+      });
+    });
+
+    it('should hide tokens inside text', () => {
+      expect(redact(`POST /api/auth/verify-email?token=abc123&lang=en Bearer ${JWT}`))
+        .toBe('POST /api/auth/verify-email?token=[REDACTED]&lang=en Bearer [REDACTED]');
+      expect(redact(`token: ${JWT}`)).toBe('token: [REDACTED]');
+      expect(redact('{"password":"hunter22","id":1}')).toBe('{"password":"[REDACTED]","id":1}');
+    });
+
+    it('should keep errors as errors with their message redacted', () => {
+      const error = new Error('bad password=hunter22');
+      const copy = redact(error);
+
+      expect(copy).toBeInstanceOf(Error);
+      expect(copy.message).toBe('bad password=[REDACTED]');
+      expect(copy.stack).not.toContain('hunter22');
+      expect(error.message).toBe('bad password=hunter22');
+    });
+
+    it('should hide path parameters named like secrets', () => {
+      expect(redactUrl('/api/collections/shared/s3cr3t?page=2', '/api/collections/shared/{token}'))
+        .toBe('/api/collections/shared/[REDACTED]?page=2');
+      expect(redactUrl('/api/jokes/5', '/api/jokes/{id}')).toBe('/api/jokes/5');
+      expect(redactUrl('/nowhere/abc')).toBe('/nowhere/abc');
+    });
+
+    it('should survive circular objects', () => {
+      const value = { id: 1 };
+      value.self = value;
+
+      expect(redact(value)).toEqual({ id: 1, self: '[Circular]' });
+    });
+  });
+
+  describe('layouts', () => {
+    it('should write one JSON object with the request id', () => {
+      const line = JSON.parse(formatJson(logEvent(['Login for %s', 'testuser'], 'req-1')));
+
+      expect(line).toEqual({
+        time: '2025-01-01T00:00:00.000Z',
+        level: 'info',
+        category: 'auth',
+        request_id: 'req-1',
+        message: 'Login for testuser',
+      });
+    });
+
+    it('should log a lone object as fields and errors separately', () => {
+      expect(JSON.parse(formatJson(logEvent([{ status: 200, token: 'abc' }]))))
+        .toMatchObject({ status: 200, token: '[REDACTED]', level: 'info' });
+
+      const line = JSON.parse(formatJson(logEvent(['Failed:', new Error('boom')])));
+      expect(line.message).toBe('Failed:');
+      expect(line.error).toMatchObject({ name: 'Error', message: 'boom' });
+    });
+
+    it('should write readable text', () => {
+      expect(formatText(logEvent(['Login for testuser with password=hunter22'], 'req-1')))
+        .toBe('2025-01-01T00:00:00.000Z INFO auth [req-1] - Login for testuser with password=[REDACTED]');
+      expect(formatText(logEvent([{ method: 'GET', status: 200, user_id: undefined }])))
+        .toBe('2025-01-01T00:00:00.000Z INFO auth - method=GET status=200');
+    });
+  });
+
+  describe('requestLogger', () => {
+    let app;
+
+    beforeEach(() => {
+      mockHttpLogger.info.mockReset();
+      mockHttpLogger.warn.mockReset();
+      app = express();
+      app.use(requestLogger);
+      app.use(express.json());
+      app.get('/api/collections/shared/:token', (req, res) => {
+        req.openapi = { path: '/api/collections/shared/{token}' };
+        res.json({});
+      });
+      app.post('/echo', async (req, res) => {
+        await new Promise((resolve) => setImmediate(resolve));
+        res.status(201).json({ request_id: currentRequestId() });
+      });
+    });
+
+    it('should keep a valid X-Request-Id and make it current for the request', async () => {
+      const response = await request(app)
+        .post('/echo?token=abc')
+        .set('X-Request-Id', 'client-id.1')
+        .send({ a: 1 })
+        .expect(201);
+
+      expect(response.headers['x-request-id']).toBe('client-id.1');
+      expect(response.body.request_id).toBe('client-id.1');
+    });
+
+    it('should replace a missing or odd X-Request-Id', async () => {
+      const response = await request(app)
+        .post('/echo')
+        .set('X-Request-Id', 'has spaces; and more')
+        .expect(201);
+
+      expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(response.body.request_id).toBe(response.headers['x-request-id']);
+    });
+
+    it('should log method, url, status and latency once per request', async () => {
+      await request(app)
+        .post('/echo?page=2')
+        .expect(201);
+
+      expect(mockHttpLogger.info).toHaveBeenCalledTimes(1);
+      expect(mockHttpLogger.info.mock.calls[0][0]).toMatchObject({
+        method: 'POST',
+        url: '/echo?page=2',
+        status: 201,
+      });
+      expect(mockHttpLogger.info.mock.calls[0][0].duration_ms).toBeGreaterThan(0);
+    });
+
+    it('should keep share tokens out of the access log', async () => {
+      await request(app)
+        .get('/api/collections/shared/s3cr3t-share-token')
+        .expect(200);
+
+      expect(mockHttpLogger.info.mock.calls[0][0].url).toBe('/api/collections/shared/[REDACTED]');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mailer = require('../services/mailer');
+const fileTransport = require('../services/mailer/fileTransport');
+const memoryTransport = require('../services/mailer/memoryTransport');
+
+describe('Mailer', () => {
+  afterEach(() => {
+    mailer.setTransport(undefined);
+  });
+
+  it('should send through the configured transport', async () => {
+    const transport = memoryTransport();
+    mailer.setTransport(transport);
+
+    await mailer.sendMail({ to: 'user@example.com', subject: 'Hi', text: 'Hello' });
+
+    expect(transport.messages).toEqual([
+      expect.objectContaining({ to: 'user@example.com', subject: 'Hi', text: 'Hello' }),
+    ]);
+    expect(transport.messages[0].from).toBeDefined();
+  });
+
+  it('should write messages to files with the file transport', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+
+    try {
+      await fileTransport({ dir }).send({ to: 'user@example.com', subject: 'Hi', text: 'Hello' });
+
+      const files = fs.readdirSync(dir);
+      expect(files.length).toBe(1);
+      expect(JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf8')).subject).toBe('Hi');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should reject an unknown transport name', () => {
+    expect(() => mailer.createTransport('pigeon')).toThrow('Unknown mail transport: pigeon');
+  });
+
+  describe('without MAIL_TRANSPORT', () => {
+    const nodeEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.NODE_ENV = nodeEnv;
+    });
+
+    it('should refuse to start in production', () => {
+      process.env.NODE_ENV = 'production';
+
+      expect(() => mailer.createTransport(undefined)).toThrow('MAIL_TRANSPORT must be set in production');
+    });
+
+    it('should keep mail in memory in tests', () => {
+      expect(mailer.createTransport(undefined).messages).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../config/db', () => ({
+  pool: {
+    query: jest.fn(),
+    totalCount: 4,
+    idleCount: 3,
+    waitingCount: 1,
+  },
+}));
+
+// Built from fresh modules, as the token is read when they load.
+const buildApp = () => {
+  const { trackRequests, metricsEndpoint } = require('../middleware/metrics');
+  const { validateRequest } = require('../middleware/openapi');
+  const { errorHandler } = require('../middleware/errorHandler');
+  const app = express();
+  app.use(trackRequests);
+  app.use(express.json());
+  app.use(validateRequest);
+  app.get('/metrics', metricsEndpoint);
+  app.get('/api/jokes/:id', (req, res) => res.json({ success: true, data: { id: req.params.id } }));
+  app.use(errorHandler);
+  return app;
+};
+
+describe('Metrics', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.resetModules();
+    delete process.env.METRICS_TOKEN;
+    app = buildApp();
+  });
+
+  afterAll(() => {
+    delete process.env.METRICS_TOKEN;
+  });
+
+  it('should serve the Prometheus text format', async () => {
+    const response = await request(app)
+      .get('/metrics')
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/plain/);
+    expect(response.text).toContain('# TYPE http_requests_total counter');
+    expect(response.text).toContain('# TYPE jokes_created_total counter');
+    expect(response.text).toContain('process_cpu_user_seconds_total');
+  });
+
+  it('should count and time requests by their route in the spec', async () => {
+    await request(app).get('/api/jokes/5').expect(200);
+    await request(app).get('/api/jokes/6').expect(200);
+    await request(app).get('/api/jokes/abc').expect(400);
+    await request(app).get('/nowhere').expect(404);
+
+    const response = await request(app)
+      .get('/metrics')
+      .expect(200);
+
+    expect(response.text).toContain('http_requests_total{method="GET",route="/api/jokes/{id}",status="200"} 2');
+    expect(response.text).toContain('http_requests_total{method="GET",route="/api/jokes/{id}",status="400"} 1');
+    expect(response.text).toContain('http_requests_total{method="GET",route="other",status="404"} 1');
+    expect(response.text).toContain('http_request_duration_seconds_count{method="GET",route="/api/jokes/{id}",status="200"} 2');
+    expect(response.text).toMatch(/http_request_duration_seconds_bucket\{le="0\.005",method="GET",route="\/api\/jokes\/\{id\}",status="200"\} \d/);
+    expect(response.text).not.toContain('/api/jokes/5');
+  });
+
+  it('should report the pg pool clients', async () => {
+    const response = await request(app)
+      .get('/metrics')
+      .expect(200);
+
+    expect(response.text).toContain('pg_pool_clients 4');
+    expect(response.text).toContain('pg_pool_idle_clients 3');
+    expect(response.text).toContain('pg_pool_waiting_clients 1');
+  });
+
+  describe('with METRICS_TOKEN', () => {
+    beforeEach(() => {
+      jest.resetModules();
+      process.env.METRICS_TOKEN = 'scrape-secret';
+      app = buildApp();
+    });
+
+    it('should answer 401 without the token', async () => {
+      const response = await request(app)
+        .get('/metrics')
+        .expect(401);
+
+      expect(response.body.error.message).toBe('Access denied');
+    });
+
+    it('should answer 401 for a wrong token', async () => {
+      await request(app)
+        .get('/metrics')
+        .set('Authorization', 'Bearer scrape-secreT')
+        .expect(401);
+    });
+
+    it('should serve metrics for the right token', async () => {
+      await request(app)
+        .get('/metrics')
+        .set('Authorization', 'Bearer scrape-secret')
+        .expect(200);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseMigration, loadMigrations, up, down, create } = require('../migrate');
+
+describe('Migration runner', () => {
+  let dir;
+  let client;
+  let applied;
+
+  const write = (file, content) => fs.writeFileSync(path.join(dir, file), content);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    write('001-users.sql', '-- migrate:up\nCREATE TABLE users ();\n\n-- migrate:down\nDROP TABLE users;\n');
+    write('002-jokes.sql', '-- migrate:up\nCREATE TABLE jokes ();\n\n-- migrate:down\nDROP TABLE jokes;\n');
+    write('010-tags.sql', 'CREATE TABLE tags ();\n');
+    write('notes.txt', 'not a migration');
+
+    applied = [];
+    client = {
+      query: jest.fn(async (sql) => (
+        sql.startsWith('SELECT version') ? { rows: applied } : { rows: [] }
+      )),
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  describe('parseMigration', () => {
+    it('should split up and down sections', () => {
+      expect(parseMigration('-- migrate:up\nCREATE TABLE a ();\n-- migrate:down\nDROP TABLE a;\n'))
+        .toEqual({ up: 'CREATE TABLE a ();', down: 'DROP TABLE a;' });
+    });
+
+    it('should treat a file without markers as up-only', () => {
+      expect(parseMigration('CREATE TABLE a ();\n'))
+        .toEqual({ up: 'CREATE TABLE a ();', down: null });
+    });
+  });
+
+  describe('loadMigrations', () => {
+    it('should load migration files ordered by version', () => {
+      const migrations = loadMigrations(dir);
+
+      expect(migrations.map((migration) => migration.file))
+        .toEqual(['001-users.sql', '002-jokes.sql', '010-tags.sql']);
+      expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('up', () => {
+    it('should apply pending migrations in order, each in a transaction', async () => {
+      const [users] = loadMigrations(dir);
+      applied = [{ version: '001', name: 'users', checksum: users.checksum }];
+
+      const result = await up(client, dir);
+
+      expect(result.map((migration) => migration.version)).toEqual(['002', '010']);
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      expect(statements).toEqual(expect.arrayContaining(['CREATE TABLE jokes ();', 'CREATE TABLE tags ();']));
+      expect(statements).not.toContain('CREATE TABLE users ();');
+      expect(statements.filter((sql) => sql === 'COMMIT').length).toBe(2);
+      expect(client.query).toHaveBeenCalledWith(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        ['010', 'tags', expect.any(String)]
+      );
+    });
+
+    it('should roll back and stop on a failing migration', async () => {
+      client.query.mockImplementation(async (sql) => {
+        if (sql === 'CREATE TABLE jokes ();') {
+          throw new Error('syntax error');
+        }
+        return { rows: sql.startsWith('SELECT version') ? applied : [] };
+      });
+
+      await expect(up(client, dir)).rejects.toThrow('syntax error');
+
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      expect(statements).toContain('ROLLBACK');
+      expect(statements).not.toContain('CREATE TABLE tags ();');
+      expect(statements[statements.length - 1]).toBe('SELECT pg_advisory_unlock($1)');
+    });
+
+    it('should refuse to run when an applied migration was modified', async () => {
+      applied = [{ version: '001', name: 'users', checksum: 'x'.repeat(64) }];
+
+      await expect(up(client, dir)).rejects.toThrow('Applied migrations were modified: 001-users.sql');
+    });
+  });
+
+  describe('down', () => {
+    it('should revert the last N applied migrations', async () => {
+      applied = loadMigrations(dir)
+        .slice(0, 2)
+        .map(({ version, name, checksum }) => ({ version, name, checksum }));
+
+      const result = await down(client, 1, dir);
+
+      expect(result.map((migration) => migration.version)).toEqual(['002']);
+      expect(client.query).toHaveBeenCalledWith('DROP TABLE jokes;');
+      expect(client.query).toHaveBeenCalledWith(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        ['002']
+      );
+    });
+
+    it('should fail for a migration without a down section', async () => {
+      applied = loadMigrations(dir).map(({ version, name, checksum }) => ({ version, name, checksum }));
+
+      await expect(down(client, 1, dir)).rejects.toThrow('010-tags.sql has no "-- migrate:down" section');
+    });
+  });
+
+  describe('create', () => {
+    it('should create the next numbered migration file', () => {
+      const file = create('Add Reports', dir);
+
+      expect(file).toBe('011-add-reports.sql');
+      expect(fs.readFileSync(path.join(dir, file), 'utf8')).toContain('-- migrate:down');
+    });
+  });
+});
@@ -0,0 +1,242 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const moderationRouter = require('../routes/moderation');
+const { errorHandler } = require('../middleware/errorHandler');
+const { validateRequest, validateResponses } = require('../middleware/openapi');
+
+jest.mock('../config/db', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+jest.mock('../middleware/auth', () => {
+  return (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const token = authHeader.slice(7);
+        const jwtLocal = require('jsonwebtoken');
+        req.user = jwtLocal.verify(token, process.env.JWT_SECRET);
+      } catch (error) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+    } else {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+    next();
+  };
+});
+
+const { pool } = require('../config/db');
+
+process.env.JWT_SECRET = 'test-secret-key';
+
+describe('Moderation Routes', () => {
+  let app;
+  let moderatorToken;
+  let client;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use(validateResponses);
+    app.use(validateRequest);
+    app.use('/api/moderation', moderationRouter);
+    app.use(errorHandler);
+    jest.clearAllMocks();
+    moderatorToken = jwt.sign({ id: 2, role: 'moderator' }, process.env.JWT_SECRET);
+    client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  it('should reject regular users', async () => {
+    const userToken = jwt.sign({ id: 1, role: 'user' }, process.env.JWT_SECRET);
+
+    const response = await request(app)
+      .get('/api/moderation/reports')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+
+    expect(response.body.error.message).toBe('Forbidden');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  describe('GET /api/moderation/reports', () => {
+    it('should list reported jokes with their reports', async () => {
+      pool.query
+        .mockResolvedValueOnce({
+          rows: [{
+            joke_id: 1,
+            title: 'Joke',
+            reports_count: 2,
+            reports: [{ id: 1, reason: 'spam' }, { id: 2, reason: 'offensive' }],
+          }],
+        })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      const response = await request(app)
+        .get('/api/moderation/reports')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      expect(response.body.data.items[0].reports_count).toBe(2);
+      expect(response.body.data.pagination.total).toBe(1);
+      expect(pool.query.mock.calls[0][1]).toEqual([10, 0]);
+    });
+
+    it('should filter the queue by reason', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] });
+
+      await request(app)
+        .get('/api/moderation/reports?reason=spam')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][1]).toEqual(['spam', 10, 0]);
+      expect(pool.query.mock.calls[1][1]).toEqual(['spam']);
+    });
+
+    it('should reject an unknown reason', async () => {
+      await request(app)
+        .get('/api/moderation/reports?reason=boring')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/moderation/jokes/:id/:action', () => {
+    it('should hide a joke and resolve its reports', async () => {
+      client.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }, { id: 2 }] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 5, joke_id: 1, action: 'hide', reports_resolved: 2 }],
+        })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const response = await request(app)
+        .post('/api/moderation/jokes/1/hide')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ note: 'Offensive' })
+        .expect(200);
+
+      expect(response.body.data.reports_resolved).toBe(2);
+      expect(client.query.mock.calls[2][0]).toContain('UPDATE jokes SET hidden_at');
+      expect(client.query.mock.calls[3][1]).toEqual(['1', 'actioned', 2]);
+      expect(client.query.mock.calls[5][0]).toBe('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should dismiss reports', async () => {
+      client.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rowCount: 0 })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 6, joke_id: 1, action: 'dismiss', reports_resolved: 1 }],
+        })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await request(app)
+        .post('/api/moderation/jokes/1/dismiss')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      expect(client.query.mock.calls[3][1]).toEqual(['1', 'dismissed', 2]);
+      expect(client.query.mock.calls[5][0]).toBe('COMMIT');
+    });
+
+    it('should lift an automatic hide but keep a moderator hide on dismiss', async () => {
+      client.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }, { id: 2 }] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 7, joke_id: 1, action: 'dismiss', reports_resolved: 2 }],
+        })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await request(app)
+        .post('/api/moderation/jokes/1/dismiss')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      const [sql, params] = client.query.mock.calls[2];
+      expect(sql).toContain('SET hidden_at = NULL, hide_reason = NULL');
+      expect(sql).toContain('hidden_by IS NULL');
+      expect(params).toEqual(['1']);
+    });
+
+    it('should delete a joke on behalf of the moderator', async () => {
+      client.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 8, joke_id: 1, action: 'delete', reports_resolved: 1 }],
+        })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await request(app)
+        .post('/api/moderation/jokes/1/delete')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ note: 'Spam' })
+        .expect(200);
+
+      const [sql, params] = client.query.mock.calls[2];
+      expect(sql).toContain('deleted_by = $2, delete_reason = $3');
+      expect(params).toEqual(['1', 2, 'Spam']);
+      expect(client.query.mock.calls[3][1]).toEqual(['1', 'actioned', 2]);
+    });
+
+    it('should return 404 for a missing joke', async () => {
+      client.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      await request(app)
+        .post('/api/moderation/jokes/999/delete')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(404);
+
+      expect(client.query.mock.calls[2][0]).toBe('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown action', async () => {
+      await request(app)
+        .post('/api/moderation/jokes/1/approve')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(404);
+
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/moderation/actions', () => {
+    it('should list moderation actions for a joke', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, action: 'auto_hide', moderator_id: null }] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      const response = await request(app)
+        .get('/api/moderation/actions?joke_id=1')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      expect(response.body.data.items[0].action).toBe('auto_hide');
+      expect(pool.query.mock.calls[0][1]).toEqual(['1', 10, 0]);
+    });
+  });
+});
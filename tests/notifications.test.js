@@ -0,0 +1,211 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const notificationsRouter = require('../routes/notifications');
+const { notificationMessage, notifyAuthorCte } = require('../services/notifications');
+const { errorHandler } = require('../middleware/errorHandler');
+const { validateRequest, validateResponses } = require('../middleware/openapi');
+
+jest.mock('../config/db', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+}));
+
+jest.mock('../middleware/auth', () => {
+  return (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const token = authHeader.slice(7);
+        const jwtLocal = require('jsonwebtoken');
+        req.user = jwtLocal.verify(token, process.env.JWT_SECRET);
+      } catch (error) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+    } else {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+    next();
+  };
+});
+
+const { pool } = require('../config/db');
+
+process.env.JWT_SECRET = 'test-secret-key';
+
+describe('Notifications Routes', () => {
+  let app;
+  let authToken;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use(validateResponses);
+    app.use(validateRequest);
+    app.use('/api/notifications', notificationsRouter);
+    app.use(errorHandler);
+    pool.query.mockReset();
+    authToken = jwt.sign({ id: 1 }, process.env.JWT_SECRET);
+  });
+
+  describe('GET /api/notifications', () => {
+    it('should list grouped notifications with a message and unread count', async () => {
+      pool.query
+        .mockResolvedValueOnce({
+          rows: [{
+            id: '12',
+            type: 'favorite',
+            read: false,
+            events_count: 5,
+            actors_count: 5,
+            latest_at: '2025-03-01T00:00:00Z',
+            joke: { id: 3, title: 'Joke' },
+            actors: [{ id: 7, username: 'alice', display_name: null }],
+          }],
+        })
+        .mockResolvedValueOnce({ rows: [{ total: '4', unread: '2' }] });
+
+      const response = await request(app)
+        .get('/api/notifications?limit=2')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.items[0].message).toBe('5 people favorited your joke');
+      expect(response.body.data.unread_count).toBe(2);
+      expect(response.body.data.pagination).toMatchObject({ total: 4, totalPages: 2, hasNext: true });
+      expect(pool.query.mock.calls[0][0]).toContain('GROUP BY n.type, n.joke_id, n.read_at IS NOT NULL');
+      expect(pool.query.mock.calls[0][0]).toContain('WHERE TRUE');
+      expect(pool.query.mock.calls[0][1]).toEqual([1, 2, 0]);
+      expect(pool.query.mock.calls[1][1]).toEqual([1]);
+    });
+
+    it('should only list unread groups with ?unread=true', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ total: '0', unread: '0' }] });
+
+      await request(app)
+        .get('/api/notifications?unread=true')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][0]).toContain('WHERE NOT g.read');
+      expect(pool.query.mock.calls[1][0]).toContain('FILTER (WHERE NOT g.read) as total');
+    });
+
+    it('should reject an invalid unread filter', async () => {
+      const response = await request(app)
+        .get('/api/notifications?unread=yes')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid unread');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should require auth', async () => {
+      await request(app)
+        .get('/api/notifications')
+        .expect(401);
+    });
+
+    it('should handle database error', async () => {
+      pool.query.mockRejectedValue(new Error('connection refused'));
+
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(500);
+
+      expect(response.body.error.code).toBe('INTERNAL_ERROR');
+    });
+  });
+
+  describe('GET /api/notifications/unread-count', () => {
+    it('should count unread groups', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ unread: '3' }] });
+
+      const response = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ unread_count: 3 });
+      expect(pool.query.mock.calls[0][0]).toContain('n.read_at IS NULL');
+    });
+  });
+
+  describe('POST /api/notifications/:id/read', () => {
+    it('should mark the whole group as read', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ found: 1, marked: 4 }] })
+        .mockResolvedValueOnce({ rows: [{ unread: '1' }] });
+
+      const response = await request(app)
+        .post('/api/notifications/12/read')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ marked: 4, unread_count: 1 });
+      expect(pool.query.mock.calls[0][0]).toContain('n.type = t.type AND n.joke_id = t.joke_id');
+      expect(pool.query.mock.calls[0][1]).toEqual(['12', 1]);
+    });
+
+    it("should return 404 for another user's notification", async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ found: 0, marked: 0 }] });
+
+      const response = await request(app)
+        .post('/api/notifications/99/read')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body.error.message).toBe('Notification not found');
+    });
+
+    it('should reject an invalid ID', async () => {
+      await request(app)
+        .post('/api/notifications/abc/read')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/notifications/read-all', () => {
+    it('should mark every notification as read', async () => {
+      pool.query.mockResolvedValueOnce({ rowCount: 6 });
+
+      const response = await request(app)
+        .post('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ marked: 6, unread_count: 0 });
+      expect(pool.query.mock.calls[0][1]).toEqual([1]);
+    });
+  });
+});
+
+describe('Notification service', () => {
+  it('should name one or two actors and count more', () => {
+    const alice = { username: 'alice', display_name: 'Alice' };
+    const bob = { username: 'bob', display_name: null };
+
+    expect(notificationMessage({ type: 'comment', actors: [alice], actors_count: 1 }))
+      .toBe('Alice commented on your joke');
+    expect(notificationMessage({ type: 'vote', actors: [alice, bob], actors_count: 2 }))
+      .toBe('Alice and bob voted on your joke');
+    expect(notificationMessage({ type: 'favorite', actors: [alice, bob], actors_count: 3 }))
+      .toBe('3 people favorited your joke');
+  });
+
+  it('should not notify authors of their own actions', () => {
+    const sql = notifyAuthorCte('vote', { source: 'vote', actor: '$1' });
+
+    expect(sql).toContain("SELECT j.author_id, 'vote', j.id, $1, NULL");
+    expect(sql).toContain('WHERE j.author_id <> $1');
+    expect(sql).toContain('ON CONFLICT DO NOTHING');
+  });
+});
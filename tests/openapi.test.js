@@ -0,0 +1,187 @@
+const request = require('supertest');
+const express = require('express');
+const { errorHandler } = require('../middleware/errorHandler');
+const { validateRequest, validateResponses, shouldValidateResponses } = require('../middleware/openapi');
+
+describe('OpenAPI validation', () => {
+  let app;
+  let handler;
+
+  beforeEach(() => {
+    handler = jest.fn((req, res) => res.status(204).end());
+    app = express();
+    app.use(express.json());
+    app.use(validateResponses);
+    app.use(validateRequest);
+    app.all(/.*/, (req, res, next) => handler(req, res, next));
+    app.use(errorHandler);
+  });
+
+  describe('requests', () => {
+    it('should pass valid requests through with req.query untouched', async () => {
+      await request(app)
+        .get('/api/jokes?page=2&tag=a&tag=b&language=en')
+        .expect(204);
+
+      expect(handler.mock.calls[0][0].query).toEqual({ page: '2', tag: ['a', 'b'], language: 'en' });
+    });
+
+    it('should check path params, the query string and the body together', async () => {
+      const response = await request(app)
+        .post('/api/jokes/abc/report?track=maybe')
+        .send({ reason: 'boring', comment: 5 })
+        .expect(400);
+
+      expect(response.body.error).toEqual({
+        code: 'VALIDATION_FAILED',
+        message: 'Invalid id',
+        details: 'id must be integer',
+        fields: [
+          { location: 'path', field: 'id', message: 'must be integer' },
+          { location: 'body', field: 'reason', message: 'must be one of: offensive, spam, duplicate' },
+          { location: 'body', field: 'comment', message: 'must be string' },
+        ],
+      });
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should name missing fields first', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'testuser', password: '123' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Missing required field');
+      expect(response.body.error.details).toBe('email is required');
+      expect(response.body.error.fields).toHaveLength(2);
+    });
+
+    it('should reject a missing required body', async () => {
+      const response = await request(app)
+        .post('/api/jokes/1/vote')
+        .expect(400);
+
+      expect(response.body.error.fields).toEqual([
+        { location: 'body', field: 'value', message: 'is required' },
+      ]);
+    });
+
+    it('should accept ids sent as strings', async () => {
+      await request(app)
+        .put('/api/collections/1/order')
+        .send({ joke_ids: ['7', 5] })
+        .expect(204);
+    });
+
+    it('should prefer literal path segments over templates', async () => {
+      await request(app)
+        .get('/api/jokes/daily?language=en')
+        .expect(204);
+    });
+
+    it('should fall through to a template when the literal path lacks the method', async () => {
+      await request(app)
+        .get('/api/users/me')
+        .expect(204);
+
+      expect(handler.mock.calls[0][0].openapi).toEqual({ path: '/api/users/{username}' });
+    });
+
+    it('should ignore paths the spec does not describe', async () => {
+      await request(app)
+        .get('/api-docs/whatever?page=abc')
+        .expect(204);
+
+      expect(handler).toHaveBeenCalled();
+    });
+  });
+
+  describe('responses', () => {
+    it('should let responses that match the spec through', async () => {
+      handler.mockImplementation((req, res) => res.json({ status: 'OK', database: 'connected' }));
+
+      await request(app)
+        .get('/health')
+        .expect(200);
+    });
+
+    it('should turn a response that does not match the spec into a 500', async () => {
+      handler.mockImplementation((req, res) => res.json({ status: 1 }));
+
+      const response = await request(app)
+        .get('/health')
+        .expect(500);
+
+      expect(response.body.error.code).toBe('RESPONSE_VALIDATION_FAILED');
+      expect(response.body.error.fields).toEqual([
+        { location: 'response', field: 'status', message: 'must be string' },
+      ]);
+    });
+
+    it('should check success bodies against the shared schemas', async () => {
+      handler.mockImplementation((req, res) => res.json({
+        success: true,
+        data: { id: '7', body: 'Knock knock', tags: 'puns' },
+      }));
+
+      const response = await request(app)
+        .get('/api/jokes/7')
+        .expect(500);
+
+      expect(response.body.error.fields).toEqual([
+        { location: 'response', field: 'data.tags', message: 'must be array' },
+      ]);
+    });
+
+    it('should check bodies as they are sent, with dates as ISO strings', async () => {
+      handler.mockImplementation((req, res) => res.json({
+        success: true,
+        data: { id: '7', body: 'Knock knock', created_at: new Date('2025-01-01T00:00:00Z') },
+      }));
+
+      const response = await request(app)
+        .get('/api/jokes/7')
+        .expect(200);
+
+      expect(response.body.data.created_at).toBe('2025-01-01T00:00:00.000Z');
+    });
+
+    it('should check error responses against the Error schema', async () => {
+      handler.mockImplementation((req, res) => res.status(409).json({ success: false, error: 'Taken' }));
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'testuser', email: 'test@example.com', password: 'password123' })
+        .expect(500);
+
+      expect(response.body.error.code).toBe('RESPONSE_VALIDATION_FAILED');
+    });
+
+    it('should be on in tests and switchable with OPENAPI_VALIDATE_RESPONSES', () => {
+      const { NODE_ENV, OPENAPI_VALIDATE_RESPONSES } = process.env;
+
+      try {
+        delete process.env.OPENAPI_VALIDATE_RESPONSES;
+        process.env.NODE_ENV = 'test';
+        expect(shouldValidateResponses()).toBe(true);
+
+        process.env.OPENAPI_VALIDATE_RESPONSES = 'false';
+        expect(shouldValidateResponses()).toBe(false);
+
+        process.env.NODE_ENV = 'production';
+        process.env.OPENAPI_VALIDATE_RESPONSES = 'true';
+        expect(shouldValidateResponses()).toBe(true);
+
+        delete process.env.OPENAPI_VALIDATE_RESPONSES;
+        expect(shouldValidateResponses()).toBe(false);
+      } finally {
+        process.env.NODE_ENV = NODE_ENV;
+        if (OPENAPI_VALIDATE_RESPONSES === undefined) {
+          delete process.env.OPENAPI_VALIDATE_RESPONSES;
+        } else {
+          process.env.OPENAPI_VALIDATE_RESPONSES = OPENAPI_VALIDATE_RESPONSES;
+        }
+      }
+    });
+  });
+});
@@ -0,0 +1,47 @@
+jest.mock('../config/db', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+}));
+
+const { pool } = require('../config/db');
+const { computeRankings, TRENDING_WINDOWS } = require('../jobs/computeRankings');
+
+describe('computeRankings', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should rank all visible jokes in one statement and prune old daily views', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ ranked: '12' }] })
+      .mockResolvedValueOnce({ rowCount: 3 });
+
+    expect(await computeRankings()).toBe(12);
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO joke_rankings');
+    expect(sql).toContain('ON CONFLICT (joke_id) DO UPDATE');
+    expect(sql).toContain('j.deleted_at IS NULL AND j.hidden_at IS NULL');
+    expect(sql).toContain('DELETE FROM joke_rankings');
+    for (const window of Object.keys(TRENDING_WINDOWS)) {
+      expect(sql).toContain(`trending_${window} = EXCLUDED.trending_${window}`);
+    }
+    expect(params).toEqual([30]);
+
+    expect(pool.query.mock.calls[1][0]).toContain('DELETE FROM joke_daily_views');
+  });
+
+  it('should decay activity by half every half window', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ ranked: '0' }] })
+      .mockResolvedValueOnce({ rowCount: 0 });
+
+    await computeRankings();
+
+    const [sql] = pool.query.mock.calls[0];
+    expect(sql).toContain('power(0.5, age / 43200)');
+    expect(sql).toContain('FILTER (WHERE age < 86400)');
+    expect(sql).toContain('power(0.5, age / 302400)');
+  });
+});
@@ -0,0 +1,111 @@
+const request = require('supertest');
+const express = require('express');
+const rateLimit = require('../middleware/rateLimit');
+const rateLimitStore = require('../services/rateLimit');
+const pgStore = require('../services/rateLimit/pgStore');
+const { errorHandler } = require('../middleware/errorHandler');
+
+describe('Rate limiting', () => {
+  let app;
+
+  const buildApp = (options) => {
+    app = express();
+    app.use((req, res, next) => {
+      if (req.headers['x-user-id']) {
+        req.user = { id: req.headers['x-user-id'] };
+      }
+      next();
+    });
+    app.get('/limited', rateLimit(options), (req, res) => res.json({ success: true }));
+    app.use(errorHandler);
+  };
+
+  beforeEach(() => {
+    rateLimitStore.setStore(rateLimitStore.createStore('memory'));
+  });
+
+  afterEach(() => {
+    rateLimitStore.setStore(undefined);
+  });
+
+  it('should send RateLimit headers and count down the budget', async () => {
+    buildApp({ name: 'test', windowMs: 60 * 1000, max: 2 });
+
+    const first = await request(app).get('/limited').expect(200);
+    const second = await request(app).get('/limited').expect(200);
+
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(first.headers['ratelimit-reset']).toBe('60');
+    expect(first.headers['ratelimit-policy']).toBe('2;w=60');
+    expect(second.headers['ratelimit-remaining']).toBe('0');
+  });
+
+  it('should answer 429 with Retry-After once the budget is spent', async () => {
+    buildApp({ name: 'test', windowMs: 60 * 1000, max: 1 });
+
+    await request(app).get('/limited').expect(200);
+    const response = await request(app).get('/limited').expect(429);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.error.message).toBe('Too many requests');
+    expect(response.headers['retry-after']).toBe('60');
+  });
+
+  it('should keep separate budgets per user', async () => {
+    buildApp({ name: 'test', windowMs: 60 * 1000, max: 1, keyBy: 'user' });
+
+    await request(app).get('/limited').set('X-User-Id', '1').expect(200);
+    await request(app).get('/limited').set('X-User-Id', '2').expect(200);
+    await request(app).get('/limited').set('X-User-Id', '1').expect(429);
+  });
+
+  it('should start a new window once the old one is over', async () => {
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+
+    try {
+      buildApp({ name: 'test', windowMs: 1000, max: 1 });
+
+      await request(app).get('/limited').expect(200);
+      await request(app).get('/limited').expect(429);
+
+      jest.setSystemTime(new Date('2025-01-01T00:00:02Z'));
+
+      await request(app).get('/limited').expect(200);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should let requests through when the store fails', async () => {
+    rateLimitStore.setStore({
+      increment: jest.fn().mockRejectedValue(new Error('connection refused')),
+    });
+    buildApp({ name: 'test', windowMs: 60 * 1000, max: 1 });
+
+    await request(app).get('/limited').expect(200);
+  });
+
+  it('should reject an unknown keyBy', () => {
+    expect(() => rateLimit({ name: 'test', windowMs: 1000, max: 1, keyBy: 'session' })).toThrow();
+  });
+
+  describe('postgres store', () => {
+    it('should count hits with a single upsert', async () => {
+      const resetAt = new Date(Date.now() + 60 * 1000);
+      const pool = { query: jest.fn().mockResolvedValue({ rows: [{ count: 3, reset_at: resetAt }] }) };
+
+      const hit = await pgStore({ pool }).increment('login:ip:127.0.0.1', 60 * 1000);
+
+      expect(hit).toEqual({ count: 3, resetAt });
+      expect(pool.query.mock.calls[0][0]).toContain('ON CONFLICT (key) DO UPDATE');
+      expect(pool.query.mock.calls[0][1]).toEqual(['login:ip:127.0.0.1', 60]);
+    });
+
+    it('should return null for a key without an active window', async () => {
+      const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      expect(await pgStore({ pool }).get('login-lock:testuser')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { start } = require('../server');
+const { recordView } = require('../services/viewCounter');
+const mailer = require('../services/mailer');
+
+jest.mock('../config/db', () => ({
+  pool: {
+    query: jest.fn(),
+    end: jest.fn(),
+  },
+}));
+
+const { pool } = require('../config/db');
+
+describe('Server', () => {
+  let app;
+  let arrived;
+  let release;
+  let running;
+
+  // GET /slow waits for release() before answering.
+  const slowApp = () => {
+    const slow = express();
+    let markArrived;
+    arrived = new Promise((resolve) => { markArrived = resolve; });
+    slow.get('/slow', (req, res) => {
+      release = () => res.json({ done: true });
+      markArrived();
+    });
+    slow.get('/fast', (req, res) => res.json({ done: true }));
+    return slow;
+  };
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.query.mockResolvedValue({ rows: [] });
+    pool.end.mockReset();
+    pool.end.mockResolvedValue();
+    app = slowApp();
+  });
+
+  afterEach(async () => {
+    if (running) {
+      await running.shutdown();
+      running = null;
+    }
+  });
+
+  const listening = (options) => {
+    running = start({ app, port: 0, ...options });
+    return new Promise((resolve) => running.server.once('listening', () => resolve(running)));
+  };
+
+  it('should not start in production without a mail transport', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    mailer.setTransport(undefined);
+
+    try {
+      expect(() => start({ app, port: 0 })).toThrow('MAIL_TRANSPORT must be set in production');
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+
+  it('should let in-flight requests finish before closing the pool', async () => {
+    const { server, shutdown } = await listening();
+    const answered = request(server).get('/slow').then((response) => response);
+    await arrived;
+
+    const closing = shutdown('SIGTERM');
+    expect(app.locals.shuttingDown).toBe(true);
+    expect(pool.end).not.toHaveBeenCalled();
+
+    release();
+    const response = await answered;
+    await closing;
+
+    expect(response.status).toBe(200);
+    expect(response.headers.connection).toBe('close');
+    expect(server.listening).toBe(false);
+    expect(pool.end).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not wait for idle keep-alive connections', async () => {
+    const { server, shutdown } = await listening();
+    const agent = new http.Agent({ keepAlive: true });
+
+    await new Promise((resolve) => {
+      http.get({ port: server.address().port, path: '/fast', agent }, (response) => {
+        response.resume();
+        response.on('end', resolve);
+      });
+    });
+
+    const startedAt = Date.now();
+    await shutdown('SIGTERM');
+
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+    agent.destroy();
+  });
+
+  it('should cut requests off after the shutdown timeout', async () => {
+    const { server, shutdown } = await listening({ shutdownTimeout: 0.1 });
+    const answered = request(server).get('/slow').then(() => null, (error) => error);
+    await arrived;
+
+    await shutdown('SIGTERM');
+
+    expect((await answered).code).toBe('ECONNRESET');
+    expect(pool.end).toHaveBeenCalledTimes(1);
+  });
+
+  it('should write buffered views before closing the pool', async () => {
+    const { shutdown } = await listening();
+    await recordView(5, 'user:1');
+
+    await shutdown('SIGTERM');
+
+    const flush = pool.query.mock.calls.findIndex(([sql]) => sql.includes('joke_daily_views'));
+    expect(flush).not.toBe(-1);
+    expect(pool.query.mock.invocationCallOrder[flush]).toBeLessThan(pool.end.mock.invocationCallOrder[0]);
+  });
+
+  it('should shut down once however often it is asked to', async () => {
+    const { shutdown } = await listening();
+
+    expect(shutdown('SIGTERM')).toBe(shutdown('SIGINT'));
+    await shutdown();
+
+    expect(pool.end).toHaveBeenCalledTimes(1);
+  });
+});
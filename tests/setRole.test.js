@@ -0,0 +1,33 @@
+const { setRole } = require('../setRole');
+
+describe('setRole', () => {
+  let client;
+
+  beforeEach(() => {
+    client = { query: jest.fn() };
+  });
+
+  it('should set the role of a user by username', async () => {
+    client.query.mockResolvedValueOnce({ rows: [{ id: 1, username: 'alice', role: 'admin' }] });
+
+    await expect(setRole(client, 'alice', 'admin'))
+      .resolves.toEqual({ id: 1, username: 'alice', role: 'admin' });
+    expect(client.query.mock.calls[0][0]).toContain('UPDATE users SET role = $1 WHERE username = $2');
+    expect(client.query.mock.calls[0][1]).toEqual(['admin', 'alice']);
+  });
+
+  it('should reject an unknown role without touching the database', async () => {
+    await expect(setRole(client, 'alice', 'root')).rejects.toThrow('Unknown role: root');
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  it('should explain its usage when arguments are missing', async () => {
+    await expect(setRole(client, 'alice')).rejects.toThrow('Usage: node setRole.js <username> <role>');
+  });
+
+  it('should fail for an unknown user', async () => {
+    client.query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(setRole(client, 'nobody', 'admin')).rejects.toThrow('No user named nobody');
+  });
+});
@@ -0,0 +1,68 @@
+const request = require('supertest');
+const express = require('express');
+const tagsRouter = require('../routes/tags');
+
+jest.mock('../config/db', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+}));
+
+const { pool } = require('../config/db');
+const { errorHandler } = require('../middleware/errorHandler');
+const { validateRequest, validateResponses } = require('../middleware/openapi');
+
+describe('Tags Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use(validateResponses);
+    app.use(validateRequest);
+    app.use('/api/tags', tagsRouter);
+    app.use(errorHandler);
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/tags', () => {
+    it('should return tags with usage counts', async () => {
+      const tags = [
+        { name: 'IT', jokes_count: 12 },
+        { name: 'school', jokes_count: 4 },
+      ];
+
+      pool.query.mockResolvedValueOnce({ rows: tags });
+
+      const response = await request(app)
+        .get('/api/tags')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.items).toEqual(tags);
+      expect(pool.query.mock.calls[0][1]).toEqual([100]);
+    });
+
+    it('should filter tags by joke language and cap the limit', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/tags?language=ru&limit=10000')
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][0]).toContain('j.language = $2');
+      expect(pool.query.mock.calls[0][1]).toEqual([500, 'ru']);
+    });
+
+    it('should handle database error', async () => {
+      pool.query.mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app)
+        .get('/api/tags')
+        .expect(500);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('INTERNAL_ERROR');
+    });
+  });
+});
@@ -0,0 +1,329 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const usersRouter = require('../routes/users');
+const rateLimitStore = require('../services/rateLimit');
+const { errorHandler } = require('../middleware/errorHandler');
+const { validateRequest, validateResponses } = require('../middleware/openapi');
+
+jest.mock('../config/db', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+}));
+
+jest.mock('../middleware/auth', () => {
+  return (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const token = authHeader.slice(7);
+        const jwtLocal = require('jsonwebtoken');
+        req.user = jwtLocal.verify(token, process.env.JWT_SECRET);
+      } catch (error) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+    } else {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+    next();
+  };
+});
+
+const { pool } = require('../config/db');
+
+process.env.JWT_SECRET = 'test-secret-key';
+
+describe('Users Routes', () => {
+  let app;
+  let authToken;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use(validateResponses);
+    app.use(validateRequest);
+    app.use('/api/users', usersRouter);
+    app.use(errorHandler);
+    pool.query.mockReset();
+    rateLimitStore.setStore(rateLimitStore.createStore('memory'));
+    authToken = jwt.sign({ id: 1 }, process.env.JWT_SECRET);
+  });
+
+  describe('GET /api/users/:username', () => {
+    it('should return the public profile with stats', async () => {
+      const profile = {
+        id: 1,
+        username: 'testuser',
+        display_name: 'Test User',
+        bio: 'Tells dad jokes',
+        avatar_url: null,
+        created_at: '2025-01-01T00:00:00Z',
+        jokes_count: 3,
+        total_score: 17,
+        favorites_received: 5,
+      };
+      pool.query.mockResolvedValueOnce({ rows: [profile] });
+
+      const response = await request(app)
+        .get('/api/users/testuser')
+        .expect(200);
+
+      expect(response.body).toEqual({ success: true, data: profile });
+      expect(pool.query.mock.calls[0][0]).toContain('u.banned_at IS NULL');
+      expect(pool.query.mock.calls[0][0]).not.toContain('email');
+      expect(pool.query.mock.calls[0][0]).not.toContain('last_seen_at');
+      expect(pool.query.mock.calls[0][1]).toEqual(['testuser']);
+    });
+
+    it('should return 404 for an unknown or banned user', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/users/nobody')
+        .expect(404);
+
+      expect(response.body.error.message).toBe('User not found');
+    });
+
+    it('should handle database error', async () => {
+      pool.query.mockRejectedValueOnce(new Error('connection refused'));
+
+      const response = await request(app)
+        .get('/api/users/testuser')
+        .expect(500);
+
+      expect(response.body.error.code).toBe('INTERNAL_ERROR');
+    });
+  });
+
+  describe('GET /api/users/:username/jokes', () => {
+    it('should list visible jokes of the user, newest first', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: '1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, title: 'Joke', author_name: 'testuser' }] })
+        .mockResolvedValueOnce({ rows: [{ total: '11' }] });
+
+      const response = await request(app)
+        .get('/api/users/testuser/jokes?limit=5')
+        .expect(200);
+
+      expect(response.body.data.items[0].author_name).toBe('testuser');
+      expect(response.body.data.pagination).toMatchObject({ total: 11, totalPages: 3, hasNext: true });
+      expect(pool.query.mock.calls[1][0]).toContain('ORDER BY j.created_at DESC, j.id DESC');
+      expect(pool.query.mock.calls[1][0]).toContain('j.deleted_at IS NULL AND j.hidden_at IS NULL');
+      expect(pool.query.mock.calls[1][1]).toEqual(['1', 5, 0]);
+    });
+
+    it('should sort by popularity', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: '1' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] });
+
+      await request(app)
+        .get('/api/users/testuser/jokes?sort=popular')
+        .expect(200);
+
+      expect(pool.query.mock.calls[1][0]).toContain('ORDER BY j.score DESC');
+    });
+
+    it('should reject an unknown sort', async () => {
+      await request(app)
+        .get('/api/users/testuser/jokes?sort=random')
+        .expect(400);
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/users/nobody/jokes')
+        .expect(404);
+
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('PATCH /api/users/me', () => {
+    it('should update the profile', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{ id: 1, username: 'testuser', display_name: 'New Name', bio: 'Hi', avatar_url: 'https://cdn.example/a.png' }],
+      });
+
+      const response = await request(app)
+        .patch('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ display_name: ' New Name ', bio: 'Hi', avatar_url: 'https://cdn.example/a.png' })
+        .expect(200);
+
+      expect(response.body.data.display_name).toBe('New Name');
+      expect(pool.query.mock.calls[0][0]).toContain('SET display_name = $1, bio = $2, avatar_url = $3');
+      expect(pool.query.mock.calls[0][1]).toEqual(['New Name', 'Hi', 'https://cdn.example/a.png', 1]);
+    });
+
+    it('should clear bio and avatar with null', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 1, username: 'testuser', bio: null, avatar_url: null }] });
+
+      await request(app)
+        .patch('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ bio: null, avatar_url: null })
+        .expect(200);
+
+      expect(pool.query.mock.calls[0][1]).toEqual([null, null, 1]);
+    });
+
+    it('should reject an avatar that is not an http(s) URL', async () => {
+      const response = await request(app)
+        .patch('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ avatar_url: 'javascript:alert(1)' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid avatar_url');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject an empty display name', async () => {
+      await request(app)
+        .patch('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ display_name: '   ' })
+        .expect(400);
+    });
+
+    it('should reject an empty update', async () => {
+      const response = await request(app)
+        .patch('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Nothing to update');
+    });
+
+    it('should require auth', async () => {
+      await request(app)
+        .patch('/api/users/me')
+        .send({ bio: 'Hi' })
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/users/:username/follow', () => {
+    it('should follow a user', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: '2' }] })
+        .mockResolvedValueOnce({ rows: [{ created_at: '2025-01-01T00:00:00.000Z' }] });
+
+      const response = await request(app)
+        .post('/api/users/author/follow')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(201);
+
+      expect(response.body.data).toEqual({ username: 'author', following: true });
+      expect(pool.query.mock.calls[1][0]).toContain('ON CONFLICT (follower_id, followee_id) DO NOTHING');
+      expect(pool.query.mock.calls[1][1]).toEqual([1, '2']);
+    });
+
+    it('should answer 200 when already following', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: '2' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post('/api/users/author/follow')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+    });
+
+    it('should not let users follow themselves', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: '1' }] });
+
+      const response = await request(app)
+        .post('/api/users/testuser/follow')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.error.details).toBe('You cannot follow yourself');
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post('/api/users/nobody/follow')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should require auth', async () => {
+      await request(app)
+        .post('/api/users/author/follow')
+        .expect(401);
+    });
+  });
+
+  describe('DELETE /api/users/:username/follow', () => {
+    it('should unfollow a user', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: '2' }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      await request(app)
+        .delete('/api/users/author/follow')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(204);
+
+      expect(pool.query.mock.calls[1]).toEqual([
+        'DELETE FROM follows WHERE follower_id = $1 AND followee_id = $2',
+        [1, '2'],
+      ]);
+    });
+  });
+
+  describe('GET /api/users/:username/followers and /following', () => {
+    it('should list followers, newest follows first', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: '2' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 5, username: 'fan', followed_at: '2025-01-02T00:00:00.000Z' }] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      const response = await request(app)
+        .get('/api/users/author/followers')
+        .expect(200);
+
+      expect(response.body.data.items[0].username).toBe('fan');
+      expect(response.body.data.pagination.total).toBe(1);
+      expect(pool.query.mock.calls[1][0]).toContain('JOIN users u ON u.id = f.follower_id');
+      expect(pool.query.mock.calls[1][0]).toContain('WHERE f.followee_id = $1');
+      expect(pool.query.mock.calls[1][1]).toEqual(['2', 10, 0]);
+    });
+
+    it('should list followed users', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: '2' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] });
+
+      await request(app)
+        .get('/api/users/author/following')
+        .expect(200);
+
+      expect(pool.query.mock.calls[1][0]).toContain('JOIN users u ON u.id = f.followee_id');
+      expect(pool.query.mock.calls[1][0]).toContain('WHERE f.follower_id = $1');
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/api/users/nobody/followers')
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+jest.mock('../config/db', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+}));
+
+describe('View counter', () => {
+  let pool;
+  let viewerKey;
+  let recordView;
+  let flushViews;
+  let pruneViewers;
+  let pendingViews;
+
+  // A fresh module per test, so no test sees viewers or views of another.
+  beforeEach(() => {
+    jest.resetModules();
+    ({ pool } = require('../config/db'));
+    ({
+      viewerKey,
+      recordView,
+      flushViews,
+      pruneViewers,
+      pendingViews,
+    } = require('../services/viewCounter'));
+  });
+
+  it('should identify users by id and anonymous viewers by a fingerprint', () => {
+    expect(viewerKey({ userId: 7, ip: '127.0.0.1' })).toBe('user:7');
+
+    const anonymous = viewerKey({ userId: null, ip: '127.0.0.1', userAgent: 'curl' });
+    expect(anonymous).toMatch(/^anon:[0-9a-f]{32}$/);
+    expect(anonymous).not.toContain('127.0.0.1');
+    expect(viewerKey({ ip: '127.0.0.1', userAgent: 'Firefox' })).not.toBe(anonymous);
+  });
+
+  it('should count a viewer once per joke within the window', async () => {
+    expect(await recordView(1, 'user:7')).toBe(true);
+    expect(await recordView(1, 'user:7')).toBe(false);
+    expect(await recordView(1, 'user:8')).toBe(true);
+    expect(await recordView(2, 'user:7')).toBe(true);
+
+    expect(pendingViews()).toEqual(new Map([['1', 2], ['2', 1]]));
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('should flush buffered views in one statement', async () => {
+    await recordView(1, 'user:7');
+    await recordView(1, 'user:8');
+    await recordView(3, 'user:7');
+    pool.query.mockResolvedValueOnce({ rowCount: 2 });
+
+    expect(await flushViews()).toBe(2);
+
+    expect(pool.query).toHaveBeenCalledTimes(1);
+    expect(pool.query.mock.calls[0][0]).toContain('unnest($1::bigint[], $2::int[])');
+    expect(pool.query.mock.calls[0][1]).toEqual([['1', '3'], [2, 1]]);
+    expect(pendingViews().size).toBe(0);
+  });
+
+  it('should keep the views when the flush fails', async () => {
+    await recordView(1, 'user:7');
+    pool.query.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(flushViews()).rejects.toThrow('connection lost');
+    await recordView(1, 'user:8');
+
+    expect(pendingViews().get('1')).toBe(2);
+  });
+
+  it('should not query the database when nothing is pending', async () => {
+    expect(await flushViews()).toBe(0);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('should not write to the database on repeat reads with the postgres store', async () => {
+    process.env.RATE_LIMIT_STORE = 'postgres';
+
+    try {
+      for (let i = 0; i < 20; i += 1) {
+        await recordView(1, 'user:7');
+      }
+    } finally {
+      delete process.env.RATE_LIMIT_STORE;
+    }
+
+    expect(pendingViews()).toEqual(new Map([['1', 1]]));
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('should count the viewer again once the window is over', async () => {
+    jest.useFakeTimers();
+
+    try {
+      expect(await recordView(1, 'user:7')).toBe(true);
+      jest.advanceTimersByTime(60 * 60 * 1000);
+      await pruneViewers();
+
+      expect(await recordView(1, 'user:7')).toBe(true);
+      expect(pendingViews().get('1')).toBe(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});